@@ -0,0 +1,106 @@
+// The final audio mix: narration clips laid at their offsets, an optional
+// background music bed that ducks under the narration, and optional EBU R128
+// loudness normalization. Also the silence held between pages.
+//
+// Like branding.js, this only builds ffmpeg inputs and the filter graph;
+// index.js runs them.
+
+import { existsSync } from "fs";
+
+const DEFAULT_MUSIC_VOLUME = 0.2;
+const DEFAULT_TARGET_LUFS = -16;
+const MAX_PAGE_PADDING_SECONDS = 10;
+const MUSIC_FADE_IN_SECONDS = 1;
+const MUSIC_FADE_OUT_SECONDS = 2;
+
+// Mixed at a common format so the music and narration combine cleanly
+const MIX_FORMAT = "aformat=sample_rates=48000:channel_layouts=stereo";
+
+// Check an audio option before anything runs
+export function validateAudioMix(audio) {
+  if (audio === undefined || audio === null) return;
+  if (typeof audio !== "object") {
+    throw new Error("audio must be an object");
+  }
+
+  const { music, targetLufs, pagePaddingSec } = audio;
+  if (music !== undefined) {
+    if (typeof music !== "object" || music === null || typeof music.path !== "string") {
+      throw new Error("audio.music needs a path");
+    }
+    if (!existsSync(music.path)) {
+      throw new Error(`audio.music.path file not found: ${music.path}`);
+    }
+    if (music.volume !== undefined && !(music.volume > 0 && music.volume <= 1)) {
+      throw new Error("audio.music.volume must be above 0 and at most 1");
+    }
+  }
+  if (targetLufs !== undefined && !(targetLufs >= -40 && targetLufs <= -5)) {
+    throw new Error("audio.targetLufs must be from -40 to -5");
+  }
+  if (pagePaddingSec !== undefined && !(pagePaddingSec >= 0 && pagePaddingSec <= MAX_PAGE_PADDING_SECONDS)) {
+    throw new Error(`audio.pagePaddingSec must be from 0 to ${MAX_PAGE_PADDING_SECONDS}`);
+  }
+}
+
+// Silence held after each page but the last, in milliseconds
+export function pagePaddingMs(audio) {
+  return Math.round((audio?.pagePaddingSec || 0) * 1000);
+}
+
+// ffmpeg inputs and filter graph mixing the narration (and music) into [aout].
+// Input 0 is the video; clips are { clipPath, offsetMs } and become inputs 1..n,
+// the music the one after. totalDurationMs is the video's length.
+export function audioMixGraph(audio, clips, totalDurationMs) {
+  const inputs = [];
+  const graph = [];
+  let labels = "";
+
+  clips.forEach((clip, i) => {
+    const inputNum = i + 1;
+    inputs.push("-i", clip.clipPath);
+    graph.push(`[${inputNum}]adelay=${clip.offsetMs}|${clip.offsetMs}[a${inputNum}]`);
+    labels += `[a${inputNum}]`;
+  });
+
+  const music = audio?.music;
+  const totalSec = (totalDurationMs / 1000).toFixed(3);
+  // normalize=0 keeps each clip at full level; amix would otherwise divide
+  // every clip by the number of inputs
+  const voice = `${labels}amix=inputs=${clips.length}:duration=longest:normalize=0`;
+
+  if (music) {
+    const musicInput = clips.length + 1;
+    const volume = music.volume ?? DEFAULT_MUSIC_VOLUME;
+    const fadeOutStart = Math.max(0, totalDurationMs / 1000 - MUSIC_FADE_OUT_SECONDS).toFixed(3);
+    // Looped for as long as the video, faded in and out
+    inputs.push("-stream_loop", "-1", "-i", music.path);
+    graph.push(
+      `${voice},apad=whole_dur=${totalSec},${MIX_FORMAT}[voice]`,
+      `[${musicInput}]atrim=0:${totalSec},asetpts=PTS-STARTPTS,${MIX_FORMAT},volume=${volume}` +
+        `,afade=t=in:d=${MUSIC_FADE_IN_SECONDS},afade=t=out:st=${fadeOutStart}:d=${MUSIC_FADE_OUT_SECONDS}[bed]`
+    );
+    if (music.duck !== false) {
+      // The narration drives a compressor on the music, pulling it down while someone speaks
+      graph.push(
+        "[voice]asplit=2[speech][key]",
+        "[bed][key]sidechaincompress=threshold=0.02:ratio=8:attack=50:release=600[ducked]",
+        "[speech][ducked]amix=inputs=2:duration=first:normalize=0[mix]"
+      );
+    } else {
+      graph.push("[voice][bed]amix=inputs=2:duration=first:normalize=0[mix]");
+    }
+  } else {
+    graph.push(`${voice}[mix]`);
+  }
+
+  if (audio?.normalize) {
+    // Single-pass loudnorm; it resamples to 192kHz internally, so bring it back down
+    const target = audio.targetLufs ?? DEFAULT_TARGET_LUFS;
+    graph.push(`[mix]loudnorm=I=${target}:TP=-1.5:LRA=11,aresample=48000[aout]`);
+  } else {
+    graph.push("[mix]anull[aout]");
+  }
+
+  return { inputs, graph: graph.join(";") };
+}
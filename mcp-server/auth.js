@@ -0,0 +1,112 @@
+// Credentials for authenticated recordings.
+//
+// Secrets are written as ${env:NAME} references and resolved from the
+// environment only when a browser command needs them, so tool arguments,
+// scripts and the session manifest only ever hold the reference. Every
+// resolved value is remembered and redacted from logs, errors, tool results
+// and the snapshot sent for narration.
+
+import { existsSync } from "fs";
+
+export const AUTH_STATE_FILE = "auth-state.json";
+
+const ENV_REFERENCE = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Shorter values would redact ordinary text and numbers
+const MIN_SECRET_LENGTH = 4;
+
+const secrets = new Set();
+
+function rememberSecret(value) {
+  if (value && value.length >= MIN_SECRET_LENGTH) secrets.add(value);
+}
+
+// Substitute ${env:NAME} references. With secret, the whole resolved value is
+// treated as a secret (cookie values, headers, passwords); otherwise only the
+// substituted parts are.
+export function resolveSecrets(value, { secret = false } = {}) {
+  const resolved = String(value ?? "").replace(ENV_REFERENCE, (match, name) => {
+    const envValue = process.env[name];
+    if (envValue === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    rememberSecret(envValue);
+    return envValue;
+  });
+  if (secret) rememberSecret(resolved);
+  return resolved;
+}
+
+// Replace every known secret in text
+export function redactSecrets(text) {
+  if (secrets.size === 0 || typeof text !== "string") return text;
+  let redacted = text;
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    redacted = redacted.split(secret).join("[redacted]");
+  }
+  return redacted;
+}
+
+// Env var names referenced anywhere in a value
+function envReferences(value) {
+  return [...JSON.stringify(value ?? null).matchAll(ENV_REFERENCE)].map(match => match[1]);
+}
+
+// Where an auth option holds a secret as a literal value instead of an
+// ${env:NAME} reference: cookie values, headers, the HTTP password and the
+// values login steps fill or type (one of them is usually a password)
+export function literalSecrets(auth) {
+  if (!auth || typeof auth !== "object") return [];
+  const literal = (value) => typeof value === "string" && value !== "" && !value.match(ENV_REFERENCE);
+  return [
+    ...(auth.cookies || []).map((cookie, i) => [`auth.cookies[${i}].value`, cookie.value]),
+    ...Object.entries(auth.headers || {}).map(([name, value]) => [`auth.headers.${name}`, value]),
+    ["auth.httpCredentials.password", auth.httpCredentials?.password],
+    ...(auth.login?.steps || []).map((step, i) => [`auth.login.steps[${i}].value`, ["fill", "type"].includes(step.action) ? step.value : undefined]),
+  ].filter(([, value]) => literal(value)).map(([path]) => path);
+}
+
+// Check an auth option before anything runs: shape, files, env vars, and
+// that secrets are references, since the options are saved with the session
+export function validateAuth(auth) {
+  if (auth === undefined || auth === null) return;
+  if (typeof auth !== "object") {
+    throw new Error("auth must be an object");
+  }
+  if (auth.storageState !== undefined && !existsSync(auth.storageState)) {
+    throw new Error(`auth.storageState file not found: ${auth.storageState}`);
+  }
+  for (const [i, cookie] of (auth.cookies || []).entries()) {
+    if (!cookie.name || cookie.value === undefined) {
+      throw new Error(`auth.cookies[${i}] needs a name and a value`);
+    }
+  }
+  if (auth.httpCredentials && (!auth.httpCredentials.username || !auth.httpCredentials.password)) {
+    throw new Error("auth.httpCredentials needs a username and a password");
+  }
+  if (auth.login) {
+    if (typeof auth.login.url !== "string" || !auth.login.url) {
+      throw new Error("auth.login needs a url");
+    }
+    if (!Array.isArray(auth.login.steps) || auth.login.steps.length === 0) {
+      throw new Error("auth.login needs at least one step");
+    }
+  }
+
+  const missing = envReferences(auth).filter(name => process.env[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`auth references unset environment variables: ${[...new Set(missing)].join(", ")}`);
+  }
+
+  const literals = literalSecrets(auth);
+  if (literals.length > 0) {
+    throw new Error(`auth secrets must be \${env:NAME} references, not literal values: ${literals.join(", ")}`);
+  }
+}
+
+// Extra HTTP headers from auth.headers, resolved
+export function authHeaders(auth) {
+  return Object.fromEntries(
+    Object.entries(auth?.headers || {}).map(([name, value]) => [name, resolveSecrets(value, { secret: true })])
+  );
+}
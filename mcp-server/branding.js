@@ -0,0 +1,240 @@
+// Branding for post-production: title and end cards, a corner watermark,
+// lower-third captions naming each page, and crossfades between pages.
+//
+// This module only builds ffmpeg inputs and filter graphs; index.js runs them
+// from the session directory. Text is written to files there and read with
+// drawtext's textfile option, so titles and URLs never need escaping for the
+// filter graph.
+
+import { existsSync, writeFileSync, copyFileSync } from "fs";
+import { join, extname } from "path";
+
+export const WATERMARK_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+export const LOWER_THIRD_SOURCES = ["title", "url"];
+
+// Every piece of the video is normalized to this rate so they join cleanly
+export const OUTPUT_FPS = 30;
+
+const DEFAULT_CARD_SECONDS = 3;
+const DEFAULT_LOWER_THIRD_SECONDS = 4;
+const MAX_CROSSFADE_SECONDS = 2;
+const COLOR = /^(#|0x)?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$|^[a-zA-Z]+$/;
+
+function checkFile(path, where) {
+  if (typeof path !== "string" || !existsSync(path)) {
+    throw new Error(`${where} file not found: ${path}`);
+  }
+}
+
+function checkCard(card, where) {
+  if (card === false) return;
+  if (typeof card !== "object" || card === null) {
+    throw new Error(`${where} must be an object or false`);
+  }
+  if (card.durationSec !== undefined && !(card.durationSec >= 1 && card.durationSec <= 15)) {
+    throw new Error(`${where}.durationSec must be from 1 to 15`);
+  }
+  if (card.logo !== undefined) checkFile(card.logo, `${where}.logo`);
+}
+
+// Check a branding option before anything runs: shape, colors and files
+export function validateBranding(branding) {
+  if (branding === undefined || branding === null) return;
+  if (typeof branding !== "object") {
+    throw new Error("branding must be an object");
+  }
+  for (const key of ["backgroundColor", "textColor"]) {
+    if (branding[key] !== undefined && !COLOR.test(branding[key])) {
+      throw new Error(`branding.${key} must be a color like #0b0f19 or a color name`);
+    }
+  }
+  if (branding.font !== undefined) checkFile(branding.font, "branding.font");
+  if (branding.intro !== undefined) checkCard(branding.intro, "branding.intro");
+  if (branding.outro !== undefined) checkCard(branding.outro, "branding.outro");
+
+  const { watermark, lowerThirds, crossfadeSec } = branding;
+  if (watermark !== undefined) {
+    if (!watermark.image && !watermark.text) {
+      throw new Error("branding.watermark needs an image or text");
+    }
+    if (watermark.image !== undefined) checkFile(watermark.image, "branding.watermark.image");
+    if (watermark.position !== undefined && !WATERMARK_POSITIONS.includes(watermark.position)) {
+      throw new Error(`branding.watermark.position must be one of: ${WATERMARK_POSITIONS.join(", ")}`);
+    }
+    if (watermark.opacity !== undefined && !(watermark.opacity > 0 && watermark.opacity <= 1)) {
+      throw new Error("branding.watermark.opacity must be above 0 and at most 1");
+    }
+  }
+  if (lowerThirds !== undefined && typeof lowerThirds === "object") {
+    if (lowerThirds.show !== undefined && !LOWER_THIRD_SOURCES.includes(lowerThirds.show)) {
+      throw new Error(`branding.lowerThirds.show must be one of: ${LOWER_THIRD_SOURCES.join(", ")}`);
+    }
+  }
+  if (crossfadeSec !== undefined && !(crossfadeSec >= 0 && crossfadeSec <= MAX_CROSSFADE_SECONDS)) {
+    throw new Error(`branding.crossfadeSec must be from 0 to ${MAX_CROSSFADE_SECONDS}`);
+  }
+}
+
+// The crossfade between pieces in seconds (0 for straight cuts)
+export function crossfadeSeconds(branding) {
+  return branding?.crossfadeSec || 0;
+}
+
+// drawtext's font: the configured file (copied next to the text files so the
+// filter gets a plain relative path), else fontconfig's default sans
+function fontOption(branding, sessionDir) {
+  if (!branding.font) return "font=Sans";
+  const name = `branding_font${extname(branding.font)}`;
+  copyFileSync(branding.font, join(sessionDir, name));
+  return `fontfile=${name}`;
+}
+
+function writeText(sessionDir, name, text) {
+  writeFileSync(join(sessionDir, name), text);
+  return name;
+}
+
+function cardLines(card, kind, context) {
+  const lines = [];
+  const title = card.title || (kind === "intro" ? context.pageTitle : "Thanks for watching");
+  if (title) lines.push({ text: title, scale: 0.075 });
+  if (card.subtitle) lines.push({ text: card.subtitle, scale: 0.045 });
+  if (card.persona && context.persona) lines.push({ text: context.persona, scale: 0.035 });
+  if (card.date) {
+    const date = typeof card.date === "string"
+      ? card.date
+      : new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+    lines.push({ text: date, scale: 0.035 });
+  }
+  return lines;
+}
+
+// ffmpeg args for a title ("intro") or end ("outro") card, or null when the
+// branding has none. context: { sessionDir, width, height, persona, pageTitle }.
+// Run with cwd set to the session directory.
+export function cardArgs(branding, kind, context, outPath) {
+  const card = branding?.[kind];
+  if (!card) return null;
+
+  const { sessionDir, width, height } = context;
+  const seconds = card.durationSec || DEFAULT_CARD_SECONDS;
+  const background = branding.backgroundColor || "#0b0f19";
+  const textColor = branding.textColor || "white";
+  const font = fontOption(branding, sessionDir);
+  const lines = cardLines(card, kind, context);
+
+  // Logo above the text, the whole block centred vertically
+  const logoHeight = card.logo ? Math.round(height * 0.16) : 0;
+  const gap = Math.round(height * 0.03);
+  const lineHeights = lines.map(line => Math.round(height * line.scale));
+  const blockHeight = (logoHeight ? logoHeight + gap : 0) + lineHeights.reduce((sum, h) => sum + h + gap, 0) - (lines.length ? gap : 0);
+  let y = Math.round((height - blockHeight) / 2);
+
+  const inputs = ["-f", "lavfi", "-i", `color=c=${background}:s=${width}x${height}:d=${seconds}:r=${OUTPUT_FPS}`];
+  const graph = [];
+  let current = "[0:v]";
+  if (card.logo) {
+    inputs.push("-i", card.logo);
+    graph.push(`[1:v]scale=-1:${logoHeight}[logo]`, `${current}[logo]overlay=(W-w)/2:${y}[bg]`);
+    current = "[bg]";
+    y += logoHeight + gap;
+  }
+
+  const filters = lines.map((line, i) => {
+    const file = writeText(sessionDir, `branding_${kind}_${i}.txt`, line.text);
+    const filter = `drawtext=${font}:textfile=${file}:expansion=none:fontcolor=${textColor}:fontsize=${lineHeights[i]}:x=(w-text_w)/2:y=${y}`;
+    y += lineHeights[i] + gap;
+    return filter;
+  });
+  // Fade in from black at the start, out to black at the end
+  filters.push(kind === "intro" ? "fade=t=in:st=0:d=0.5" : `fade=t=out:st=${seconds - 0.5}:d=0.5`);
+  filters.push("format=yuv420p");
+  graph.push(`${current}${filters.join(",")}[v]`);
+
+  return [
+    ...inputs,
+    "-filter_complex", graph.join(";"),
+    "-map", "[v]", "-t", String(seconds),
+    "-c:v", "libx264", "-preset", "fast", "-crf", "23", outPath,
+  ];
+}
+
+function overlayPosition(position, margin, { drawtext }) {
+  const right = drawtext ? `w-text_w-${margin}` : `W-w-${margin}`;
+  const bottom = drawtext ? `h-text_h-${margin}` : `H-h-${margin}`;
+  const [vertical, horizontal] = (position || "bottom-right").split("-");
+  return `x=${horizontal === "left" ? margin : right}:y=${vertical === "top" ? margin : bottom}`;
+}
+
+// Filter graph for one page segment: baseFilter (fit to the output size) on
+// [0:v], then the lower third and watermark, ending at [v]. Returns the extra
+// inputs it needs. page: { index, title, url, durationSec }.
+// Run with cwd set to the session directory.
+export function pageSegmentGraph(baseFilter, branding, page, { sessionDir, width, height }) {
+  if (!branding) {
+    return { inputs: [], graph: `[0:v]${baseFilter}[v]` };
+  }
+
+  const filters = [baseFilter];
+  const inputs = [];
+  const graph = [];
+  const font = fontOption(branding, sessionDir);
+
+  if (branding.lowerThirds) {
+    const settings = typeof branding.lowerThirds === "object" ? branding.lowerThirds : {};
+    const text = settings.show === "url" ? page.url : page.title || page.url;
+    const file = writeText(sessionDir, `branding_lower_${page.index}.txt`, text);
+    const until = Math.min(settings.durationSec || DEFAULT_LOWER_THIRD_SECONDS, page.durationSec).toFixed(2);
+    const size = Math.round(height * 0.04);
+    filters.push(
+      `drawtext=${font}:textfile=${file}:expansion=none:fontcolor=white:fontsize=${size}:box=1:boxcolor=black@0.6:boxborderw=${Math.round(size * 0.6)}` +
+      `:x=${Math.round(width * 0.04)}:y=h-${Math.round(height * 0.16)}:enable='between(t,0.3,${until})'`
+    );
+  }
+
+  const watermark = branding.watermark;
+  const margin = Math.round(height * 0.03);
+  const opacity = watermark?.opacity ?? 0.7;
+  if (watermark?.text && !watermark.image) {
+    const file = writeText(sessionDir, "branding_watermark.txt", watermark.text);
+    filters.push(
+      `drawtext=${font}:textfile=${file}:expansion=none:fontcolor=white@${opacity}:fontsize=${Math.round(height * 0.03)}:${overlayPosition(watermark.position, margin, { drawtext: true })}`
+    );
+  }
+
+  if (watermark?.image) {
+    inputs.push("-i", watermark.image);
+    const wmWidth = watermark.width || Math.round(width * 0.1);
+    graph.push(
+      `[0:v]${filters.join(",")}[base]`,
+      `[1:v]scale=${wmWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity}[wm]`,
+      `[base][wm]overlay=${overlayPosition(watermark.position, margin, { drawtext: false })}:format=auto,format=yuv420p[v]`
+    );
+  } else {
+    graph.push(`[0:v]${filters.join(",")}[v]`);
+  }
+
+  return { inputs, graph: graph.join(";") };
+}
+
+// Filter graph joining pieces with crossfades. durations are each piece's
+// length in seconds. Every piece but the last is held on its final frame for
+// the fade, so piece k still starts at the sum of the durations before it and
+// the narration offsets don't change.
+export function crossfadeGraph(durations, seconds) {
+  const graph = [];
+  const last = durations.length - 1;
+  durations.forEach((_, i) => {
+    graph.push(i < last ? `[${i}:v]tpad=stop_mode=clone:stop_duration=${seconds}[p${i}]` : `[${i}:v]null[p${i}]`);
+  });
+
+  let current = "[p0]";
+  let offset = 0;
+  for (let i = 1; i <= last; i++) {
+    offset += durations[i - 1];
+    const label = i === last ? "[v]" : `[x${i}]`;
+    graph.push(`${current}[p${i}]xfade=transition=fade:duration=${seconds}:offset=${offset.toFixed(3)}${label}`);
+    current = label;
+  }
+  return graph.join(";");
+}
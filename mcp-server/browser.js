@@ -0,0 +1,521 @@
+// Browser drivers: one interface over the browsers the recorder can drive.
+//
+// The Playwright driver keeps a single Chromium open in-process, so every
+// command is a quick awaited call instead of a process spawn, which keeps the
+// timed scroll loop on schedule. The CLI driver runs one agent-browser command
+// per call and is the fallback when Playwright or its Chromium isn't installed.
+// BROWSER_DRIVER picks one ("playwright" or "cli"); by default Playwright is
+// tried first.
+//
+// Both drivers implement the same async methods:
+//   emulate(settings)            device, viewport, color scheme, locale, timezone, headers
+//   setCredentials(user, pass)   HTTP authentication
+//   loadState(path) / saveState(path) / setCookie(name, value)
+//   open(url) / url() / title() / snapshot() / eval(script) / box(target)
+//   screenshot(path, { fullPage })   PNG of the view, or of the whole page
+//   scrollIntoView(ref) / click / fill / type / hover / press / select
+//   waitFor(target, ms) / waitForLoad(state, ms) / wait(ms)
+//   recordStart(path) / recordStop() / close()
+//   takeBlocked()                messages for requests the URL policy blocked since the last call
+// Element targets are { ref } (a snapshot ref like "e13") or { selector }.
+
+import { execFile } from "child_process";
+import { renameSync, rmSync, mkdtempSync } from "fs";
+import { join, dirname } from "path";
+import { redactSecrets } from "./auth.js";
+import { startPolicyProxy } from "./url-policy.js";
+import { OUTPUT_FPS } from "./branding.js";
+
+export const BROWSER_DRIVERS = ["auto", "playwright", "cli"];
+
+const AGENT_BROWSER_BIN = "agent-browser";
+const REF_ATTRIBUTE = "data-narrator-ref";
+const OPEN_TIMEOUT_MS = 60000;
+const ACTION_TIMEOUT_MS = 10000;
+
+// A command line for the logs, with arguments quoted where needed
+export function formatCommand(bin, args) {
+  return [bin, ...args].map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg))).join(" ");
+}
+
+// Open a browser with the configured driver. headed shows the window (the
+// passes that film or research pages); logDebug receives the driver choice
+// and every request the URL policy blocks. All the browser's traffic goes
+// through the URL policy proxy.
+export async function createBrowser({ headed = false, logDebug = () => {} } = {}) {
+  const driver = process.env.BROWSER_DRIVER || "auto";
+  if (!BROWSER_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown BROWSER_DRIVER "${driver}" (expected one of: ${BROWSER_DRIVERS.join(", ")})`);
+  }
+
+  const blocked = [];
+  const proxy = await startPolicyProxy({
+    onBlocked: (url, message) => {
+      blocked.push(message);
+      logDebug(`Blocked request to ${url}: ${message}`);
+    },
+  });
+  // Stops the proxy along with the browser, and reports what it blocked
+  const withProxy = (browser) => ({
+    ...browser,
+    takeBlocked: () => blocked.splice(0),
+    async close() {
+      try {
+        await browser.close();
+      } finally {
+        await proxy.close();
+      }
+    },
+  });
+
+  if (driver !== "cli") {
+    try {
+      const browser = await createPlaywrightBrowser({ headed, proxy: proxy.url });
+      logDebug(`Browser driver: playwright`);
+      return withProxy(browser);
+    } catch (e) {
+      if (driver === "playwright") {
+        await proxy.close();
+        throw new Error(`Could not start Playwright (run \`npx playwright install chromium\`): ${e.message}`);
+      }
+      logDebug(`Playwright unavailable, falling back to agent-browser: ${e.message.split("\n")[0]}`);
+    }
+  }
+
+  logDebug(`Browser driver: cli`);
+  return withProxy(createCliBrowser({ headed, proxy: proxy.url }));
+}
+
+// === CLI DRIVER (agent-browser) ===
+
+// Run one agent-browser command. Arguments are passed straight to the process
+// (no shell), so URLs, selectors and text can't inject commands.
+function agentBrowser(args, { timeout = 30000, env } = {}) {
+  console.error(`[narrator] $ ${redactSecrets(formatCommand(AGENT_BROWSER_BIN, args))}`);
+  return new Promise((resolve, reject) => {
+    execFile(AGENT_BROWSER_BIN, args, {
+      encoding: "utf-8",
+      timeout,
+      ...(env ? { env: { ...process.env, ...env } } : {}),
+    }, (error, stdout, stderr) => {
+      if (error) {
+        // The message repeats the command, which may carry a resolved credential
+        error.message = redactSecrets(error.message);
+        console.error(`[narrator] Command failed: ${error.message}`);
+        if (stderr) console.error(`[narrator] stderr: ${redactSecrets(String(stderr))}`);
+        reject(error);
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+// agent-browser's element syntax: @ref or a CSS selector
+function cliTarget(target) {
+  return target.ref ? `@${target.ref.replace(/^@/, "")}` : target.selector;
+}
+
+// Process env for the browser: timezone and locale are read when it launches
+function cliLaunchEnv({ timezone, locale }) {
+  return {
+    ...(timezone ? { TZ: timezone } : {}),
+    ...(locale ? { LANG: `${locale.replace(/-/g, "_")}.UTF-8`, LANGUAGE: locale } : {}),
+  };
+}
+
+// The proxy is read when the browser launches; "<-loopback>" sends even
+// localhost through it
+function createCliBrowser({ headed, proxy }) {
+  const proxyEnv = { AGENT_BROWSER_PROXY: proxy, AGENT_BROWSER_PROXY_BYPASS: "<-loopback>" };
+  let env = proxyEnv;
+  let launched = false;
+  const run = (args, options = {}) => agentBrowser(args, { env, ...options });
+
+  return {
+    driver: "cli",
+
+    async emulate({ device, viewport, colorScheme, reducedMotion, locale, timezone, headers = {} }) {
+      env = { ...proxyEnv, ...cliLaunchEnv({ timezone, locale }) };
+      await run(["set", "device", device]);
+      await run(["set", "viewport", String(viewport.width), String(viewport.height)]);
+      await run(["set", "media", colorScheme, ...(reducedMotion ? ["reduced-motion"] : [])]);
+      await run(["set", "headers", JSON.stringify(headers)]);
+    },
+    setCredentials: (username, password) => run(["set", "credentials", username, password]),
+    loadState: (path) => run(["state", "load", path]),
+    saveState: (path) => run(["state", "save", path]),
+    setCookie: (name, value) => run(["cookies", "set", name, value]),
+
+    async open(url) {
+      // --headed only matters for the command that launches the browser
+      const headedArgs = headed && !launched ? ["--headed"] : [];
+      await run(["open", url, ...headedArgs], { timeout: OPEN_TIMEOUT_MS });
+      launched = true;
+    },
+    url: () => run(["get", "url"]),
+    title: () => run(["get", "title"]),
+
+    async snapshot() {
+      // Skip any status lines before the JSON
+      const output = await run(["snapshot", "--json"]);
+      const { data } = JSON.parse(output.substring(output.indexOf("{")));
+      return { snapshot: data.snapshot, refs: data.refs };
+    },
+    eval: (script) => run(["eval", script]),
+    screenshot: (path, { fullPage = false } = {}) => run(["screenshot", path, ...(fullPage ? ["--full"] : [])], { timeout: OPEN_TIMEOUT_MS }),
+    box: async (target) => JSON.parse(await run(["get", "box", cliTarget(target), "--json"])),
+
+    scrollIntoView: (ref) => run(["scrollintoview", cliTarget({ ref })]),
+    click: (target) => run(["click", cliTarget(target)]),
+    fill: (target, value) => run(["fill", cliTarget(target), value]),
+    type: (target, value) => run(["type", cliTarget(target), value]),
+    hover: (target) => run(["hover", cliTarget(target)]),
+    press: (key) => run(["press", key]),
+    select: (target, value) => run(["select", cliTarget(target), value]),
+    waitFor: (target, timeout) => run(["wait", cliTarget(target)], { timeout }),
+    waitForLoad: (state, timeout) => run(["wait", "--load", state], { timeout }),
+    wait: (ms) => run(["wait", String(Math.round(ms))], { timeout: ms + 30000 }),
+
+    recordStart: (path) => run(["record", "start", path]),
+    recordStop: () => run(["record", "stop"]),
+    close: () => run(["close"]),
+  };
+}
+
+// === PLAYWRIGHT DRIVER ===
+
+// Playwright sends loopback traffic through the proxy too
+async function createPlaywrightBrowser({ headed, proxy }) {
+  const { chromium, devices } = await import("playwright");
+  const browser = await chromium.launch({ headless: !headed, proxy: { server: proxy } });
+
+  // Device, locale, timezone and credentials are fixed per browser context, so
+  // changing them starts a new context that carries over cookies and storage
+  let contextOptions = {};
+  let contextStale = false;
+  let pendingState = null;
+  let headers = {};
+  let media = {};
+  let context = null;
+  let page = null;
+  let recording = null;
+
+  async function newContext(extra = {}) {
+    let storageState = pendingState || undefined;
+    let session = null;
+    if (context) {
+      if (!storageState) storageState = await context.storageState();
+      session = await sessionStorageOf(page);
+      await context.close();
+    }
+
+    // While filming, every context records its own part of the video
+    const video = recording ? { recordVideo: { dir: recording.videoDir, size: contextOptions.viewport || recording.size } } : {};
+    context = await browser.newContext({ ...contextOptions, storageState, ...video, ...extra });
+    if (session) await context.addInitScript(restoreSessionStorage, session);
+    await context.setExtraHTTPHeaders(headers);
+    page = await context.newPage();
+    await page.emulateMedia(media);
+    if (recording) recording.parts.push({ video: page.video(), startMs: Date.now() });
+    pendingState = null;
+    contextStale = false;
+  }
+
+  async function currentPage() {
+    if (!page || contextStale) await newContext();
+    return page;
+  }
+
+  // Context options changed: picked up by the next page opened, also while
+  // filming, where the new context becomes the video's next part
+  function updateContext(options) {
+    const next = { ...contextOptions, ...options };
+    if (JSON.stringify(next) === JSON.stringify(contextOptions)) return;
+    contextOptions = next;
+    if (context) contextStale = true;
+  }
+
+  async function locate(target) {
+    const p = await currentPage();
+    if (!target.ref) return p.locator(target.selector).first();
+
+    // Refs are assigned by snapshots; take one if this page hasn't had one yet
+    const ref = target.ref.replace(/^@/, "");
+    const selector = `[${REF_ATTRIBUTE}="${ref}"]`;
+    if ((await p.locator(selector).count()) === 0) {
+      await p.evaluate(snapshotInPage, REF_ATTRIBUTE);
+    }
+    return p.locator(selector).first();
+  }
+
+  return {
+    driver: "playwright",
+
+    async emulate({ device, viewport, colorScheme, reducedMotion, locale, timezone, headers: extraHeaders = {} }) {
+      // Always Chromium, whatever browser the descriptor was captured with.
+      // The viewport can change on the open page, so it doesn't need a new context.
+      const { defaultBrowserType, viewport: deviceViewport, ...descriptor } = devices[device] || {};
+      updateContext({ ...descriptor, locale: locale || undefined, timezoneId: timezone || undefined });
+      contextOptions.viewport = viewport;
+
+      headers = extraHeaders;
+      media = { colorScheme, reducedMotion: reducedMotion ? "reduce" : "no-preference" };
+      if (page) {
+        await page.setViewportSize(viewport);
+        await page.emulateMedia(media);
+        await context.setExtraHTTPHeaders(headers);
+      }
+    },
+    async setCredentials(username, password) {
+      updateContext({ httpCredentials: { username, password } });
+    },
+    async loadState(path) {
+      pendingState = path;
+      if (context) contextStale = true;
+    },
+    async saveState(path) {
+      await (await currentPage()).context().storageState({ path });
+    },
+    async setCookie(name, value) {
+      const p = await currentPage();
+      await context.addCookies([{ name, value, url: p.url() }]);
+    },
+
+    async open(url) {
+      await (await currentPage()).goto(url, { waitUntil: "load", timeout: OPEN_TIMEOUT_MS });
+    },
+    url: async () => (await currentPage()).url(),
+    title: async () => (await currentPage()).title(),
+
+    async snapshot() {
+      return (await currentPage()).evaluate(snapshotInPage, REF_ATTRIBUTE);
+    },
+    // Same output as agent-browser's eval: strings as-is, anything else as JSON
+    async eval(script) {
+      const value = await (await currentPage()).evaluate(script);
+      if (value === undefined) return "";
+      return typeof value === "string" ? value : JSON.stringify(value);
+    },
+    async screenshot(path, { fullPage = false } = {}) {
+      await (await currentPage()).screenshot({ path, fullPage, timeout: OPEN_TIMEOUT_MS });
+    },
+    async box(target) {
+      const bounds = await (await locate(target)).boundingBox({ timeout: ACTION_TIMEOUT_MS });
+      if (!bounds) throw new Error(`No visible element matches ${target.ref ? `@${target.ref}` : target.selector}`);
+      return bounds;
+    },
+
+    scrollIntoView: async (ref) => (await locate({ ref })).scrollIntoViewIfNeeded({ timeout: ACTION_TIMEOUT_MS }),
+    click: async (target) => (await locate(target)).click({ timeout: ACTION_TIMEOUT_MS }),
+    fill: async (target, value) => (await locate(target)).fill(value, { timeout: ACTION_TIMEOUT_MS }),
+    // Typed key by key so it reads as typing on camera
+    type: async (target, value) => (await locate(target)).pressSequentially(value, { delay: 40, timeout: ACTION_TIMEOUT_MS }),
+    hover: async (target) => (await locate(target)).hover({ timeout: ACTION_TIMEOUT_MS }),
+    press: async (key) => (await currentPage()).keyboard.press(key),
+    select: async (target, value) => (await locate(target)).selectOption(value, { timeout: ACTION_TIMEOUT_MS }),
+    waitFor: async (target, timeout) => (await locate(target)).waitFor({ state: "visible", timeout }),
+    waitForLoad: async (state, timeout) => (await currentPage()).waitForLoadState(state, { timeout }),
+    wait: async (ms) => (await currentPage()).waitForTimeout(ms),
+
+    // Video is recorded per context, so filming starts a fresh one on the
+    // current page, like agent-browser does. Cookies, local and session
+    // storage carry over; the page itself is loaded again.
+    async recordStart(path) {
+      const url = page ? page.url() : "about:blank";
+      const size = page?.viewportSize() || contextOptions.viewport;
+      recording = { path, size, videoDir: mkdtempSync(join(dirname(path), ".video-")), parts: [] };
+      await newContext();
+      await page.goto(url, { waitUntil: "load", timeout: OPEN_TIMEOUT_MS });
+    },
+    async recordStop() {
+      if (!recording) return;
+      const storageState = await context.storageState();
+      await context.close();
+      context = null;
+      page = null;
+      pendingState = storageState;
+
+      // The files are complete once their contexts have closed
+      const { path, size, videoDir, parts } = recording;
+      recording = null;
+      try {
+        const files = [];
+        for (const part of parts) files.push({ path: await part.video.path(), startMs: part.startMs });
+        if (files.length === 1) {
+          renameSync(files[0].path, path);
+        } else {
+          await joinVideoParts(files, size, path);
+        }
+      } finally {
+        rmSync(videoDir, { recursive: true, force: true });
+      }
+    },
+    async close() {
+      if (recording) {
+        rmSync(recording.videoDir, { recursive: true, force: true });
+        recording = null;
+      }
+      await browser.close();
+    },
+  };
+}
+
+// The page's session storage, which storageState() leaves out: { origin, items } or null
+async function sessionStorageOf(page) {
+  try {
+    const session = await page.evaluate(() => ({ origin: location.origin, items: Object.entries(sessionStorage) }));
+    return session.origin !== "null" && session.items.length > 0 ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// Runs in the page, before its scripts: put back the keys the origin's session
+// storage is missing
+function restoreSessionStorage({ origin, items }) {
+  if (location.origin !== origin) return;
+  for (const [key, value] of items) {
+    if (sessionStorage.getItem(key) === null) sessionStorage.setItem(key, value);
+  }
+}
+
+// One video from the parts filmed in successive contexts, each part placed at
+// the time its context opened (its last frame held until the next one
+// starts) and letterboxed into the first part's size
+function joinVideoParts(parts, size, path) {
+  const { width, height } = size || { width: 1280, height: 720 };
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${OUTPUT_FPS}`;
+  const filters = parts.map((part, i) => {
+    const next = parts[i + 1];
+    if (!next) return `[${i}:v]${fit},setpts=PTS-STARTPTS[v${i}]`;
+    const seconds = ((next.startMs - part.startMs) / 1000).toFixed(3);
+    return `[${i}:v]${fit},tpad=stop_mode=clone:stop_duration=${seconds},trim=duration=${seconds},setpts=PTS-STARTPTS[v${i}]`;
+  });
+  const graph = `${filters.join(";")};${parts.map((_, i) => `[v${i}]`).join("")}concat=n=${parts.length}:v=1:a=0[v]`;
+  const args = [
+    "-hide_banner", "-loglevel", "error", "-y",
+    ...parts.flatMap(part => ["-i", part.path]),
+    "-filter_complex", graph, "-map", "[v]",
+    "-c:v", "libvpx", "-b:v", "8M", "-deadline", "realtime", "-cpu-used", "8",
+    path,
+  ];
+  return new Promise((resolve, reject) => {
+    execFile("ffmpeg", args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(`Could not join the recording's ${parts.length} parts: ${stderr || error.message}`));
+      else resolve();
+    });
+  });
+}
+
+// Runs in the page: an accessibility outline in agent-browser's format, e.g.
+//   - heading "Pricing" [ref=e4] [level=2]
+// Headings, landmarks, images and interactive elements get refs, stored on the
+// element so later commands can find it. The walk is deterministic, so the
+// same page gets the same refs in the research and performance passes.
+function snapshotInPage(refAttribute) {
+  const MAX_LINES = 1500;
+  const INPUT_ROLES = { checkbox: "checkbox", radio: "radio", range: "slider", number: "spinbutton", search: "searchbox", submit: "button", button: "button", reset: "button", image: "button" };
+  const TAG_ROLES = {
+    BUTTON: "button", SUMMARY: "button", NAV: "navigation", MAIN: "main", HEADER: "banner", FOOTER: "contentinfo",
+    ASIDE: "complementary", FORM: "form", ARTICLE: "article", TEXTAREA: "textbox", SELECT: "combobox",
+    UL: "list", OL: "list", LI: "listitem", TABLE: "table", TR: "row", TD: "cell", TH: "columnheader",
+    P: "paragraph", DIALOG: "dialog", H1: "heading", H2: "heading", H3: "heading", H4: "heading", H5: "heading", H6: "heading",
+  };
+  const REF_ROLES = new Set([
+    "link", "button", "textbox", "searchbox", "checkbox", "radio", "combobox", "slider", "spinbutton", "switch",
+    "tab", "menuitem", "option", "heading", "img", "navigation", "main", "region", "banner", "contentinfo",
+    "complementary", "form", "article", "dialog", "table",
+  ]);
+  // Named by their text, which is shown on the line instead of as children
+  const LEAF_ROLES = new Set(["link", "button", "heading", "tab", "menuitem", "option", "paragraph", "cell", "columnheader", "img"]);
+
+  const clean = (text, max) => {
+    const value = (text || "").replace(/\s+/g, " ").trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  };
+
+  const roleOf = (el) => {
+    const explicit = el.getAttribute("role");
+    if (explicit) return explicit.split(" ")[0];
+    if (el.tagName === "A") return el.hasAttribute("href") ? "link" : null;
+    if (el.tagName === "IMG") return el.getAttribute("alt") ? "img" : null;
+    if (el.tagName === "SECTION") return el.hasAttribute("aria-label") || el.hasAttribute("aria-labelledby") ? "region" : null;
+    if (el.tagName === "INPUT") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      return type === "hidden" ? null : INPUT_ROLES[type] || "textbox";
+    }
+    return TAG_ROLES[el.tagName] || null;
+  };
+
+  const nameOf = (el, role) => {
+    const label = el.getAttribute("aria-label");
+    if (label) return label;
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      return labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || "").join(" ");
+    }
+    if (el.tagName === "IMG") return el.getAttribute("alt");
+    if (["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName)) {
+      if (el.labels && el.labels.length > 0) return el.labels[0].textContent;
+      if (["submit", "button", "reset"].includes(el.type)) return el.value;
+      return el.getAttribute("placeholder") || el.getAttribute("title");
+    }
+    if (LEAF_ROLES.has(role)) return el.innerText || el.textContent || el.getAttribute("title");
+    return el.getAttribute("title");
+  };
+
+  const hidden = (el) => {
+    if (el.getAttribute("aria-hidden") === "true" || el.hidden) return true;
+    const style = getComputedStyle(el);
+    return style.display === "none" || style.visibility === "hidden";
+  };
+
+  for (const el of document.querySelectorAll(`[${refAttribute}]`)) {
+    el.removeAttribute(refAttribute);
+  }
+
+  const lines = [];
+  const refs = {};
+  let nextRef = 1;
+
+  const walk = (node, depth) => {
+    if (lines.length >= MAX_LINES) return;
+    const indent = "  ".repeat(depth);
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = clean(node.textContent, 200);
+      if (text.length > 1) lines.push(`${indent}- text: ${text}`);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG"].includes(node.tagName.toUpperCase())) return;
+    if (hidden(node)) return;
+
+    const role = roleOf(node);
+    if (!role || role === "presentation" || role === "none" || role === "generic") {
+      for (const child of node.childNodes) walk(child, depth);
+      return;
+    }
+
+    const name = clean(nameOf(node, role), role === "paragraph" ? 200 : 100);
+    let line = role === "paragraph" ? `${indent}- paragraph: ${name}` : `${indent}- ${role}${name ? ` "${name.replace(/"/g, "'")}"` : ""}`;
+    if (REF_ROLES.has(role)) {
+      const ref = `e${nextRef++}`;
+      node.setAttribute(refAttribute, ref);
+      refs[ref] = { role, name };
+      line += ` [ref=${ref}]`;
+    }
+    if (role === "heading") {
+      const level = node.getAttribute("aria-level") || node.tagName.match(/^H(\d)$/)?.[1];
+      if (level) line += ` [level=${level}]`;
+    }
+    lines.push(line);
+
+    if (!LEAF_ROLES.has(role)) {
+      for (const child of node.childNodes) walk(child, depth + 1);
+    }
+  };
+
+  walk(document.body, 0);
+  return { snapshot: lines.join("\n"), refs };
+}
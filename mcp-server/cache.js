@@ -0,0 +1,107 @@
+// Content-addressed cache for generated narration and synthesized speech.
+//
+// Entries are keyed by a hash of everything that shapes the output: narration
+// by URL, snapshot, persona and model; audio by text, provider, voice and
+// model. Re-recording unchanged pages then costs no Claude or TTS calls.
+//
+//   <cache dir>/narration/<key>.json
+//   <cache dir>/audio/<key>.mp3 + <key>.json (character timings)
+
+import { createHash } from "crypto";
+import { readFileSync, writeFileSync, mkdirSync, existsSync, copyFileSync, readdirSync, statSync, unlinkSync } from "fs";
+import { join } from "path";
+
+export const CACHE_KINDS = ["narration", "audio"];
+
+// "use" reads and writes, "refresh" skips reads but stores fresh results, "off" does neither
+export const CACHE_MODES = ["use", "refresh", "off"];
+
+// Read lazily: .env is loaded after imports are evaluated
+function cacheDir() {
+  return process.env.NARRATOR_CACHE_DIR || join(process.env.HOME, ".cache", "narrator-mcp");
+}
+
+export function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+// Stable key for a set of inputs
+export function cacheKey(parts) {
+  return sha256(JSON.stringify(parts));
+}
+
+function entryPaths(kind, key) {
+  const dir = join(cacheDir(), kind);
+  return { dir, json: join(dir, `${key}.json`), file: join(dir, `${key}.mp3`) };
+}
+
+// Cache handle for one session. Counts hits and misses per kind for the result.
+export function createCache(mode = "use", logDebug = () => {}) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown cache mode "${mode}" (expected one of: ${CACHE_MODES.join(", ")})`);
+  }
+
+  const stats = Object.fromEntries(CACHE_KINDS.map(kind => [kind, { hits: 0, misses: 0 }]));
+
+  // Cached value for key, or null. With filePath, the entry's file is copied there.
+  const get = (kind, key, filePath = null) => {
+    if (mode !== "use") {
+      stats[kind].misses++;
+      return null;
+    }
+    const paths = entryPaths(kind, key);
+    try {
+      if (existsSync(paths.json) && (!filePath || existsSync(paths.file))) {
+        const value = JSON.parse(readFileSync(paths.json, "utf-8"));
+        if (filePath) copyFileSync(paths.file, filePath);
+        stats[kind].hits++;
+        logDebug(`Cache hit: ${kind} ${key.slice(0, 12)}`);
+        return value;
+      }
+    } catch (e) {
+      logDebug(`Ignoring unreadable ${kind} cache entry ${key.slice(0, 12)}: ${e.message}`);
+    }
+    stats[kind].misses++;
+    return null;
+  };
+
+  // Store a value (and a copy of filePath). Failures only cost a future miss.
+  const put = (kind, key, value, filePath = null) => {
+    if (mode === "off") return;
+    const paths = entryPaths(kind, key);
+    try {
+      mkdirSync(paths.dir, { recursive: true });
+      // File first, so a readable .json always has its file
+      if (filePath) copyFileSync(filePath, paths.file);
+      writeFileSync(paths.json, JSON.stringify(value));
+    } catch (e) {
+      logDebug(`Could not cache ${kind} ${key.slice(0, 12)}: ${e.message}`);
+    }
+  };
+
+  return { mode, get, put, stats };
+}
+
+// Delete cached entries, all kinds or just one. Returns what was removed.
+export function clearCache(kind = null) {
+  if (kind && !CACHE_KINDS.includes(kind)) {
+    throw new Error(`Unknown cache kind "${kind}" (expected one of: ${CACHE_KINDS.join(", ")})`);
+  }
+
+  const removed = {};
+  let bytes = 0;
+  for (const name of kind ? [kind] : CACHE_KINDS) {
+    const dir = join(cacheDir(), name);
+    removed[name] = 0;
+    if (!existsSync(dir)) continue;
+
+    for (const file of readdirSync(dir)) {
+      const path = join(dir, file);
+      bytes += statSync(path).size;
+      unlinkSync(path);
+      if (file.endsWith(".json")) removed[name]++;
+    }
+  }
+
+  return { cacheDir: cacheDir(), removed, bytesFreed: bytes };
+}
@@ -0,0 +1,109 @@
+// Captions from TTS character alignment.
+//
+// Each clip carries per-character timings relative to its own start; its
+// timelineOffsetMs says where it lands in the final video. Words are grouped
+// into short cues, and the WebVTT output also carries per-word timestamps.
+
+import { writeFileSync } from "fs";
+import { join } from "path";
+
+const MAX_CUE_CHARS = 42;
+const MAX_WORD_GAP_SEC = 0.8;
+
+// Split aligned characters into timed words
+export function wordsFromAlignment(characters, charStartTimes, charEndTimes, offsetSec = 0) {
+  const words = [];
+  let current = null;
+
+  for (let i = 0; i < characters.length && i < charStartTimes.length; i++) {
+    const char = characters[i];
+    if (/\s/.test(char)) {
+      if (current) words.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { text: "", start: charStartTimes[i] + offsetSec, end: charEndTimes[i] + offsetSec };
+    }
+    current.text += char;
+    current.end = (charEndTimes[i] ?? charStartTimes[i]) + offsetSec;
+  }
+  if (current) words.push(current);
+
+  return words;
+}
+
+// Group timed words into caption cues
+export function buildCaptionCues(clips) {
+  const cues = [];
+
+  for (const clip of clips) {
+    const offsetSec = (clip.timelineOffsetMs || 0) / 1000;
+    const words = wordsFromAlignment(clip.characters, clip.charStartTimes, clip.charEndTimes, offsetSec);
+
+    let cue = null;
+    const flush = () => {
+      if (cue) cues.push(cue);
+      cue = null;
+    };
+
+    for (const word of words) {
+      if (cue) {
+        const length = cue.words.map(w => w.text).join(" ").length + 1 + word.text.length;
+        if (length > MAX_CUE_CHARS || word.start - cue.end > MAX_WORD_GAP_SEC) flush();
+      }
+      if (!cue) cue = { start: word.start, end: word.end, words: [] };
+      cue.words.push(word);
+      cue.end = word.end;
+
+      // End cues at sentence boundaries
+      if (/[.!?…]["')\]]?$/.test(word.text)) flush();
+    }
+    flush();
+  }
+
+  return cues;
+}
+
+function formatTimestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Escape text for WebVTT cue payloads
+function escapeVtt(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function toWebVtt(cues) {
+  const blocks = cues.map((cue, i) => {
+    // Inline timestamps mark when each word after the first is spoken
+    const text = cue.words
+      .map((word, j) => (j === 0 ? escapeVtt(word.text) : `<${formatTimestamp(word.start, ".")}>${escapeVtt(word.text)}`))
+      .join(" ");
+    return `${i + 1}\n${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${text}`;
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+export function toSrt(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.words.map(w => w.text).join(" ")}`)
+    .join("\n\n") + "\n";
+}
+
+// Write captions.vtt and captions.srt for the whole video
+export function writeCaptionFiles(clips, sessionDir) {
+  const cues = buildCaptionCues(clips);
+  const vttPath = join(sessionDir, "captions.vtt");
+  const srtPath = join(sessionDir, "captions.srt");
+
+  writeFileSync(vttPath, toWebVtt(cues));
+  writeFileSync(srtPath, toSrt(cues));
+
+  return { vttPath, srtPath, cueCount: cues.length };
+}
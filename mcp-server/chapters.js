@@ -0,0 +1,103 @@
+// Chapter markers per page and per narration segment.
+//
+// Pages start at their clip's timelineOffsetMs; segments start at that offset
+// plus their segment timing. Titles come from the page title, the segment's
+// scroll target, or failing that the first words of the narration.
+
+import { writeFileSync } from "fs";
+import { join } from "path";
+
+// Readable name for a CSS selector scroll target, e.g. "#pricing-table" -> "Pricing table"
+function humanizeSelector(selector) {
+  const last = selector.trim().split(/\s+|>/).filter(Boolean).pop() || selector;
+  const words = last.replace(/^[#.]/, "").replace(/[\[\]="'#.:()]+/g, " ").replace(/[-_]+/g, " ").trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : "";
+}
+
+// First few words of narration, for segments with nothing better to go on
+function leadingWords(text, count = 6) {
+  const words = text.trim().split(/\s+/);
+  const lead = words.slice(0, count).join(" ").replace(/[,;:.!?…]+$/, "");
+  return words.length > count ? `${lead}…` : lead;
+}
+
+function segmentTitle(segment, pageTitle) {
+  if (segment.chapter) return segment.chapter;
+  const target = segment.scrollTo || "";
+  if (target === "top") return pageTitle;
+  if (target && target !== "bottom" && !/^e\d+$/.test(target) && !/%$/.test(target)) {
+    const name = humanizeSelector(target);
+    if (name) return name;
+  }
+  return leadingWords(segment.text);
+}
+
+// Build page chapters, each with its segment chapters, from timed clips
+export function buildChapters(pageData, clips, totalDurationMs) {
+  return pageData.map((page, i) => {
+    const clip = clips[i];
+    const startMs = clip.timelineOffsetMs || 0;
+    const endMs = i + 1 < clips.length ? clips[i + 1].timelineOffsetMs : totalDurationMs;
+    const title = page.title || page.url;
+
+    const timings = clip.segmentTimings || [];
+    const segments = page.narrationData.segments.map((segment, j) => {
+      const segStartMs = startMs + (timings[j]?.startTimeMs ?? 0);
+      const segEndMs = j + 1 < timings.length ? startMs + timings[j + 1].startTimeMs : endMs;
+      return {
+        title: segmentTitle(segment, title),
+        startTimeSec: segStartMs / 1000,
+        endTimeSec: segEndMs / 1000,
+        scrollTo: segment.scrollTo,
+      };
+    });
+
+    return { title, url: page.url, startTimeSec: startMs / 1000, endTimeSec: endMs / 1000, segments };
+  });
+}
+
+// Flatten to the chapter list for one level: "page" or "segment"
+export function flattenChapters(chapters, level) {
+  if (level !== "segment") return chapters.map(({ segments, ...page }) => page);
+  return chapters.flatMap(page =>
+    page.segments.map(segment => ({
+      title: segment.title === page.title ? page.title : `${page.title}: ${segment.title}`,
+      url: page.url,
+      startTimeSec: segment.startTimeSec,
+      endTimeSec: segment.endTimeSec,
+    }))
+  );
+}
+
+function vttTimestamp(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor((ms % 3600000) / 60000))}:${pad(Math.floor((ms % 60000) / 1000))}.${pad(ms % 1000, 3)}`;
+}
+
+// ffmetadata needs =, ;, #, \ and newlines escaped
+function escapeFfmetadata(value) {
+  return value.replace(/[=;#\\\n]/g, c => `\\${c}`);
+}
+
+// Write chapters.vtt and chapters.ffmeta (for ffmpeg -map_chapters)
+export function writeChapterFiles(flatChapters, sessionDir) {
+  const vttPath = join(sessionDir, "chapters.vtt");
+  const ffmetadataPath = join(sessionDir, "chapters.ffmeta");
+
+  const cues = flatChapters.map((chapter, i) =>
+    `chapter-${i + 1}\n${vttTimestamp(chapter.startTimeSec)} --> ${vttTimestamp(chapter.endTimeSec)}\n${chapter.title.replace(/-->/g, "->")}`
+  );
+  writeFileSync(vttPath, `WEBVTT\n\n${cues.join("\n\n")}\n`);
+
+  const blocks = flatChapters.map(chapter => [
+    "[CHAPTER]",
+    "TIMEBASE=1/1000",
+    `START=${Math.round(chapter.startTimeSec * 1000)}`,
+    `END=${Math.round(chapter.endTimeSec * 1000)}`,
+    `title=${escapeFfmetadata(chapter.title)}`,
+  ].join("\n"));
+  writeFileSync(ffmetadataPath, `;FFMETADATA1\n${blocks.join("\n")}\n`);
+
+  return { vttPath, ffmetadataPath };
+}
@@ -0,0 +1,74 @@
+// Hand-written narration, used verbatim instead of generating it.
+//
+// Inline cues like "[scroll: e13]", "[scroll: #pricing]", "[scroll: 50%]" or
+// "[scroll: bottom]" set where to scroll from that sentence on. Without any
+// cues, each sentence is its own segment and the page scrolls evenly top to bottom.
+// With speakers, a sentence starting "Name:" hands over to that speaker; the
+// first speaker talks until someone else does.
+
+import { findSpeaker } from "./dialogue.js";
+
+const NARRATION_CUE = /\[\s*scroll\s*:\s*([^\]]+?)\s*\]/gi;
+
+// Split narration into { segments: [{ text, scrollTo, speaker? }] }
+export function parseCustomNarration(narration, speakers = null) {
+  let speaker = speakers?.[0].name;
+  const sentences = narration
+    .trim()
+    .split(/(?<=[.!?…])\s+/)
+    .filter(s => s.trim().length > 0)
+    .map(sentence => {
+      // The name may follow the sentence's scroll cues
+      const label = speakers && sentence.match(/^((?:\s*\[[^\]]*\])*)\s*([^:\[\]]{1,40}?)\s*:\s*/);
+      const named = label && findSpeaker(speakers, label[2]);
+      if (named) {
+        speaker = named.name;
+        sentence = `${label[1]} ${sentence.slice(label[0].length)}`;
+      }
+      return { sentence, speaker };
+    });
+
+  const hasCues = NARRATION_CUE.test(narration);
+  NARRATION_CUE.lastIndex = 0;
+
+  if (!hasCues) {
+    return {
+      segments: sentences.map(({ sentence, speaker }, i) => ({
+        text: sentence.trim(),
+        scrollTo: i === 0 ? "top" : `${Math.round((i / Math.max(sentences.length - 1, 1)) * 100)}%`,
+        ...(speaker ? { speaker } : {}),
+      })),
+    };
+  }
+
+  // A cue after the last sentence has no text left to scroll for, so it
+  // moves to the start of the last sentence
+  const tail = sentences[sentences.length - 1];
+  if (sentences.length > 1 && !tail.sentence.replace(NARRATION_CUE, "").trim()) {
+    sentences.pop();
+    const last = sentences[sentences.length - 1];
+    last.sentence = `${tail.sentence} ${last.sentence}`;
+  }
+
+  const segments = [];
+  let pendingTarget = null;
+  for (const { sentence, speaker } of sentences) {
+    const cues = [...sentence.matchAll(NARRATION_CUE)].map(m => m[1].replace(/^@/, ""));
+    const text = sentence.replace(NARRATION_CUE, " ").replace(/\s+/g, " ").replace(/ (?=[.,;:!?…])/g, "").trim();
+
+    // The last cue in a sentence wins and carries over to the next spoken text
+    if (cues.length > 0) pendingTarget = cues[cues.length - 1];
+    if (!text) continue;
+
+    // A new speaker starts a new segment, staying where the last one scrolled
+    const last = segments[segments.length - 1];
+    if (pendingTarget !== null || !last || last.speaker !== speaker) {
+      segments.push({ text, scrollTo: pendingTarget ?? last?.scrollTo ?? "top", ...(speaker ? { speaker } : {}) });
+      pendingTarget = null;
+    } else {
+      last.text += ` ${text}`;
+    }
+  }
+
+  return { segments };
+}
@@ -0,0 +1,87 @@
+// Dialogue mode: several named speakers, each with their own persona and
+// voice, talking through the pages together ("skeptical buyer" and "sales
+// engineer"). Narration segments carry a speaker; each run of segments by one
+// speaker is spoken in their voice and the runs are joined into the page's clip.
+
+const MAX_SPEAKERS = 4;
+
+// Pause between two speakers' lines, in seconds
+export const SPEAKER_GAP_SECONDS = 0.3;
+
+// Check the speakers option and the pages' voices before anything runs
+export function validateSpeakers(speakers, pages = []) {
+  if (speakers === undefined || speakers === null) return;
+  if (!Array.isArray(speakers) || speakers.length < 2 || speakers.length > MAX_SPEAKERS) {
+    throw new Error(`speakers must be a list of 2 to ${MAX_SPEAKERS} speakers`);
+  }
+
+  const names = new Set();
+  speakers.forEach((speaker, i) => {
+    if (typeof speaker?.name !== "string" || !/^[\p{L}\p{N}][\p{L}\p{N} .'-]*$/u.test(speaker.name.trim())) {
+      throw new Error(`speakers[${i}] needs a name (letters, digits, spaces)`);
+    }
+    const name = speaker.name.trim().toLowerCase();
+    if (names.has(name)) {
+      throw new Error(`Speaker name "${speaker.name}" is used twice`);
+    }
+    names.add(name);
+    if (typeof speaker.persona !== "string" || !speaker.persona.trim()) {
+      throw new Error(`Speaker "${speaker.name}" needs a persona`);
+    }
+  });
+
+  pages.forEach((page, i) => {
+    if (page.voice) {
+      throw new Error(`Page ${i + 1} sets a voice, but with speakers each speaker's voice is used: set speakers[].voice instead`);
+    }
+  });
+}
+
+// The speaker a name refers to (case-insensitive), or undefined
+export function findSpeaker(speakers, name) {
+  const wanted = String(name || "").trim().toLowerCase();
+  return speakers.find(speaker => speaker.name.trim().toLowerCase() === wanted);
+}
+
+// Consecutive segments by the same speaker, each spoken as one TTS request
+export function speakerRuns(segments) {
+  const runs = [];
+  for (const segment of segments) {
+    const last = runs[runs.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.segments.push(segment);
+    } else {
+      runs.push({ speaker: segment.speaker, segments: [segment] });
+    }
+  }
+  return runs;
+}
+
+// Join the runs' character timings into one clip's, as if the runs' texts had
+// been spoken joined by spaces. parts: { speech, durationSec } in order, where
+// durationSec is the part file's real length; each part after the first
+// starts SPEAKER_GAP_SECONDS after the one before it ends.
+export function joinAlignments(parts) {
+  const characters = [];
+  const charStartTimes = [];
+  const charEndTimes = [];
+  let offset = 0;
+  let durationSec = 0;
+
+  parts.forEach((part, i) => {
+    if (i > 0) {
+      // The space between the runs, timed at the next run's start
+      characters.push(" ");
+      charStartTimes.push(offset);
+      charEndTimes.push(offset);
+    }
+    const { speech } = part;
+    characters.push(...speech.characters);
+    charStartTimes.push(...speech.charStartTimes.map(t => t + offset));
+    charEndTimes.push(...speech.charEndTimes.map(t => t + offset));
+    durationSec = offset + speech.durationSec;
+    offset += part.durationSec + SPEAKER_GAP_SECONDS;
+  });
+
+  return { characters, charStartTimes, charEndTimes, durationSec };
+}
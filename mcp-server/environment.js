@@ -0,0 +1,96 @@
+// Browser environment: viewport, device emulation, color scheme, reduced
+// motion, locale and timezone.
+//
+// A recording sets defaults that each page can override. Presets map to
+// Playwright device descriptors (user agent, touch, device pixel ratio) and
+// carry their viewport so the output video size is known up front.
+
+export const DEVICE_PRESETS = {
+  desktop: { device: "Desktop Chrome", viewport: { width: 1280, height: 720 } },
+  "desktop-hd": { device: "Desktop Chrome", viewport: { width: 1920, height: 1080 } },
+  "iphone-15": { device: "iPhone 15", viewport: { width: 393, height: 659 } },
+  "iphone-se": { device: "iPhone SE", viewport: { width: 320, height: 568 } },
+  "pixel-7": { device: "Pixel 7", viewport: { width: 412, height: 839 } },
+  ipad: { device: "iPad (gen 7)", viewport: { width: 810, height: 1080 } },
+  "ipad-pro": { device: "iPad Pro 11", viewport: { width: 834, height: 1194 } },
+};
+
+export const DEFAULT_DEVICE = "desktop";
+export const COLOR_SCHEMES = ["light", "dark"];
+
+const MAX_VIEWPORT = { width: 3840, height: 2160 };
+
+function checkViewport(viewport, where) {
+  for (const side of ["width", "height"]) {
+    const value = viewport[side];
+    if (!Number.isInteger(value) || value < 200 || value > MAX_VIEWPORT[side]) {
+      throw new Error(`${where}: viewport ${side} must be a whole number from 200 to ${MAX_VIEWPORT[side]}`);
+    }
+  }
+}
+
+function checkEnvironment(env, where) {
+  if (env.device !== undefined && !DEVICE_PRESETS[env.device]) {
+    throw new Error(`${where}: unknown device "${env.device}" (expected one of: ${Object.keys(DEVICE_PRESETS).join(", ")})`);
+  }
+  if (env.viewport !== undefined) checkViewport(env.viewport, where);
+  if (env.colorScheme !== undefined && !COLOR_SCHEMES.includes(env.colorScheme)) {
+    throw new Error(`${where}: colorScheme must be one of: ${COLOR_SCHEMES.join(", ")}`);
+  }
+  if (env.locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(env.locale);
+    } catch (e) {
+      throw new Error(`${where}: invalid locale "${env.locale}"`);
+    }
+  }
+  if (env.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: env.timezone });
+    } catch (e) {
+      throw new Error(`${where}: invalid timezone "${env.timezone}"`);
+    }
+  }
+}
+
+// A page's effective environment. A page that picks a device gets that
+// device's viewport unless it also gives one.
+export function resolveEnvironment(pageEnv = {}, globalEnv = {}) {
+  const device = pageEnv.device || globalEnv.device || DEFAULT_DEVICE;
+  const viewport = pageEnv.viewport
+    || (pageEnv.device ? null : globalEnv.viewport)
+    || DEVICE_PRESETS[device].viewport;
+
+  return {
+    device,
+    viewport: { width: viewport.width, height: viewport.height },
+    colorScheme: pageEnv.colorScheme || globalEnv.colorScheme || "light",
+    reducedMotion: pageEnv.reducedMotion ?? globalEnv.reducedMotion ?? false,
+    locale: pageEnv.locale || globalEnv.locale || null,
+    timezone: globalEnv.timezone || null,
+  };
+}
+
+// Check the recording's environment and every page's before anything runs
+export function validateEnvironments(globalEnv = {}, pages = []) {
+  checkEnvironment(globalEnv, "environment");
+  pages.forEach((page, i) => {
+    const env = page.environment || {};
+    const where = `Page ${i + 1} environment`;
+    if (env.timezone !== undefined) {
+      throw new Error(`${where}: timezone is fixed when the browser starts, so set it for the whole recording`);
+    }
+    checkEnvironment(env, where);
+  });
+}
+
+// Output video size: the recording's viewport, or the first page's when only
+// pages set one. H.264 needs even dimensions.
+export function outputSize(globalEnv = {}, pages = []) {
+  const { viewport } = resolveEnvironment(
+    globalEnv.device || globalEnv.viewport ? {} : pages[0]?.environment,
+    globalEnv
+  );
+  const even = (n) => n + (n % 2);
+  return { width: even(viewport.width), height: even(viewport.height) };
+}
@@ -6,33 +6,99 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { execSync, spawnSync } from "child_process";
-import { writeFileSync, readFileSync, mkdirSync, existsSync, unlinkSync, appendFileSync } from "fs";
-import { join, dirname } from "path";
+import { execFile } from "child_process";
+import { writeFileSync, readFileSync, mkdirSync, existsSync, unlinkSync, appendFileSync, renameSync, copyFileSync, chmodSync } from "fs";
+import { join, dirname, basename, resolve } from "path";
 import { fileURLToPath } from "url";
+import { synthesizeSpeech, resolveVoice, overrideVoice, speechCacheFields, TTS_PROVIDERS } from "./tts.js";
+import { publishRecording, resolveDestinations, PUBLISH_DESTINATIONS } from "./publish.js";
+import { writeCaptionFiles } from "./captions.js";
+import { buildChapters, flattenChapters, writeChapterFiles } from "./chapters.js";
+import { startJob, getJob, listJobs, cancelJob, jobSnapshot, overallProgress, RECORDING_PHASES } from "./jobs.js";
+import {
+  createManifest,
+  loadManifest,
+  saveManifest,
+  isPhaseComplete,
+  firstIncompletePhase,
+  startPhase,
+  completePhase,
+  failPhase,
+} from "./manifest.js";
+import { createCache, clearCache, cacheKey, sha256, CACHE_MODES, CACHE_KINDS } from "./cache.js";
+import { DEVICE_PRESETS, COLOR_SCHEMES, resolveEnvironment, validateEnvironments, outputSize } from "./environment.js";
+import { AUTH_STATE_FILE, resolveSecrets, redactSecrets, validateAuth, authHeaders } from "./auth.js";
+import { DETECTORS, REDACTION_STYLES, resolveRedaction, validateRedaction, redactText } from "./redact.js";
+import { checkUrl } from "./url-policy.js";
+import { validatePageActions, PAGE_ACTIONS, LOAD_STATES } from "./page-actions.js";
+import { createBrowser, formatCommand } from "./browser.js";
+import { runTimeline, timelineShift, pageWindow } from "./scheduler.js";
+import { validateBranding, cardArgs, pageSegmentGraph, crossfadeGraph, crossfadeSeconds, OUTPUT_FPS, WATERMARK_POSITIONS, LOWER_THIRD_SOURCES } from "./branding.js";
+import { validateAudioMix, audioMixGraph, pagePaddingMs } from "./audio-mix.js";
+import { validateSpeakers, findSpeaker, speakerRuns, joinAlignments, SPEAKER_GAP_SECONDS } from "./dialogue.js";
+import { validateVision, visionSettings, screenshotPlan, imageContent, SCREENSHOT_SCALE } from "./vision.js";
+import { validateLanguages, languageEntry, languageName, sameLanguage, voiceForLanguage, languageOptions, localizedOptions } from "./languages.js";
+import { resolveLlm, completeJson, LLM_PROVIDERS } from "./llm.js";
+import { validateNarrator, narratorSettings, narrationPrompt, narrationProblem, promptCacheFields, SPOKEN_WORDS_PER_SECOND } from "./narration-prompt.js";
+import { repairTargets, unknownTargets, targetDescriptors, resolveRef } from "./scroll-targets.js";
+import { parseCustomNarration } from "./custom-narration.js";
+import { buildPageTimeline, calculateSegmentTimings } from "./timeline.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_DIR = dirname(__dirname);
 const SESSION_BASE = join(process.env.HOME, "Movies", "agent-recordings");
 
-const AGENT_BROWSER_BIN = 'agent-browser';
+// Call a self-contained function inside the page with JSON-serializable args
+function callInPage(browser, fn, ...args) {
+  const argList = args.map(arg => JSON.stringify(arg)).join(", ");
+  return browser.eval(`(${fn.toString()})(${argList})`);
+}
 
-// Helper to run agent-browser commands
-function agentBrowser(command, options = {}) {
-  console.error(`[narrator] Using agent-browser at: ${AGENT_BROWSER_BIN}`);
-  const fullCommand = `${AGENT_BROWSER_BIN} ${command}`;
-  console.error(`[narrator] $ ${fullCommand}`);
+// Open a URL in the browser if the URL policy allows it. The browser's proxy
+// checks every redirect and subresource before it's requested; a page whose
+// load was blocked fails here, and the page the browser lands on is checked
+// once more in case it got there some other way.
+async function openUrl(browser, url) {
+  await checkUrl(url);
+  browser.takeBlocked();
   try {
-    const result = execSync(fullCommand, {
-      encoding: "utf-8",
-      timeout: options.timeout || 30000,
-      stdio: ["pipe", "pipe", "pipe"],
-    });
-    return result.trim();
-  } catch (error) {
-    console.error(`[narrator] Command failed: ${error.message}`);
-    if (error.stderr) console.error(`[narrator] stderr: ${error.stderr}`);
-    throw error;
+    await browser.open(url);
+  } catch (e) {
+    const [blocked] = browser.takeBlocked();
+    if (blocked) throw new Error(`${url} was blocked while loading. ${blocked}`);
+    throw e;
+  }
+
+  let finalUrl = url;
+  try {
+    finalUrl = await browser.url();
+  } catch (e) {}
+  if (finalUrl && finalUrl !== url) {
+    try {
+      await checkUrl(finalUrl);
+    } catch (e) {
+      await browser.open("about:blank");
+      throw new Error(`${url} redirected to a blocked URL. ${e.message}`);
+    }
+  }
+}
+
+// Close a browser, ignoring errors (it may never have started)
+async function closeBrowser(browser) {
+  try {
+    await browser?.close();
+  } catch (e) {}
+}
+
+// Check every URL a recording will open before anything runs
+async function checkUrls(pages, auth) {
+  const urls = [
+    ...pages.map(page => page.url),
+    ...(auth?.cookies || []).map(cookie => cookie.url).filter(Boolean),
+    ...(auth?.login ? [auth.login.url] : []),
+  ];
+  for (const url of new Set(urls)) {
+    await checkUrl(url);
   }
 }
 
@@ -53,468 +119,1296 @@ function loadEnv() {
 
 loadEnv();
 
-// Sleep helper
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Sleep helper. With a signal, rejects as soon as the recording is cancelled.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Recording cancelled"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Recording cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
-// Generate narration using Claude API - returns structured data with scroll cues
-async function generateNarration(persona, pageUrl, snapshot, refs) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    throw new Error("ANTHROPIC_API_KEY not set - required for auto-generating narration");
-  }
+// Only errors on stderr, so a failure's last lines say what went wrong
+const FFMPEG_QUIET = ["-hide_banner", "-loglevel", "error"];
+
+// Run a long command (ffmpeg) without blocking the event loop, so status
+// requests are still answered and cancellation can kill it. No shell is
+// involved: args go to the process as-is.
+function runCommand(bin, args, signal, options = {}) {
+  console.error(`[narrator] $ ${formatCommand(bin, args)}`);
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { encoding: "utf-8", maxBuffer: 64 * 1024 * 1024, signal, ...options }, (error, stdout, stderr) => {
+      if (signal?.aborted) {
+        reject(new Error("Recording cancelled"));
+      } else if (error) {
+        const detail = (stderr || "").trim().split("\n").slice(-3).join(" ");
+        reject(new Error(`${bin} failed: ${detail || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
 
-  // Build a list of refs with names for Claude to choose from
+// Generate narration with the narration model - returns structured data with
+// scroll cues. With speakers it writes a dialogue, each segment tagged with
+// who says it; with a language, it's written in that language; with
+// screenshots ({ path, caption }), the model sees the page as well as its
+// snapshot. narrator holds the model and prompt settings (the narrator option).
+// Scroll targets that aren't on the page are repaired before it returns.
+async function generateNarration(persona, pageUrl, snapshot, refs, { speakers = null, language = null, screenshots = [], narrator = {}, signal, logDebug = () => {} } = {}) {
+  const llm = resolveLlm(narrator);
+  const settings = narratorSettings(narrator, { speakers });
+
+  // Build a list of refs with names for the model to choose from
   const refsWithNames = Object.entries(refs)
     .filter(([id, info]) => info.name && info.role)
     .map(([id, info]) => `${id}: ${info.role} "${info.name}"`)
     .join('\n');
 
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "content-type": "application/json",
-      "anthropic-version": "2023-06-01",
-      "anthropic-beta": "structured-outputs-2025-11-13",
-    },
-    body: JSON.stringify({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 800,
-      messages: [
-        {
-          role: "user",
-          content: `You are narrating a screen recording of a website visit. Your persona: ${persona}
+  const segmentProperties = {
+    text: {
+      type: "string",
+      description: "The spoken narration for this segment"
+    },
+    scrollTo: {
+      type: "string",
+      description: screenshots.length > 0
+        ? "Element ref ID to scroll to (e.g. 'e13', 'e83'), 'top'/'bottom', or a page y coordinate from the screenshots (e.g. '1450px'). Refs must be from the provided refs list."
+        : "Element ref ID to scroll to (e.g. 'e13', 'e83') or 'top'/'bottom'. Must be from the provided refs list."
+    },
+    ...(speakers ? {
+      speaker: {
+        type: "string",
+        enum: speakers.map(speaker => speaker.name),
+        description: "Who speaks this segment"
+      }
+    } : {})
+  };
+
+  const prompt = narrationPrompt(settings, { persona, url: pageUrl, snapshot, refs: refsWithNames, speakers, language, screenshots });
+  const content = [...imageContent(screenshots), { type: "text", text: prompt }];
+  const ask = extra => completeJson(llm, {
+    content: [...content, ...extra],
+    schemaName: "narration",
+    schema: {
+      type: "object",
+      properties: {
+        segments: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: segmentProperties,
+            required: Object.keys(segmentProperties),
+            additionalProperties: false
+          }
+        }
+      },
+      required: ["segments"],
+      additionalProperties: false
+    },
+    maxTokens: settings.maxTokens,
+    validate: value => narrationProblem(value, settings, { speakers }),
+  }, { signal, logDebug });
+
+  // Fix scroll targets that clearly mean a ref; ask again once about the
+  // rest, then guess what's still broken
+  let { segments, repairs } = repairTargets((await ask([])).segments, refs);
+  const unknown = unknownTargets(segments, refs);
+  if (unknown.length > 0) {
+    const listed = unknown.map(({ index, scrollTo }) => `"${scrollTo}" (segment ${index + 1})`).join(", ");
+    logDebug(`Narration scrolls to targets not on the page: ${listed} - asking again`);
+    try {
+      ({ segments, repairs } = repairTargets((await ask([{
+        type: "text",
+        text: `An earlier answer scrolled to targets that aren't in the refs list: ${listed}. Write the narration again, and for scrollTo use only ref IDs from the list above, "top" or "bottom"${screenshots.length > 0 ? `, or a page y coordinate like "1450px"` : ""}.`,
+      }])).segments, refs, { guess: true }));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      logDebug(`Asking again failed (${error.message}), repairing the first answer`);
+      ({ segments, repairs } = repairTargets(segments, refs, { guess: true }));
+    }
+  }
+  logRepairs(repairs, logDebug);
 
-You are currently viewing: ${pageUrl}
+  return { segments };
+}
+
+// Log the scroll targets repairTargets replaced
+function logRepairs(repairs, logDebug) {
+  for (const { index, from, to } of repairs) {
+    logDebug(`Segment ${index + 1}: scroll target "${from}" repaired to "${to}"`);
+  }
+}
 
-Here is the accessibility snapshot of the page:
-${snapshot}
+// Translate narration segments (text and chapter titles) into another
+// language with the narration model. Scroll targets and speakers stay as they
+// are. phrases (highlight and action onText) come back as the words in the
+// translation that say the same, so they still match.
+async function translateNarration(segments, from, to, persona, phrases = [], { llm, signal, logDebug } = {}) {
+  const source = segments.map(({ text, chapter }) => ({ text, ...(chapter ? { chapter } : {}) }));
+  const translated = await completeJson(llm, {
+    content: [
+      {
+        type: "text",
+        text: `Translate the narration of a screen recording from ${languageName(from)} (${from}) to ${languageName(to)} (${to}).
+
+The narrator's persona: ${persona}
 
-Here are the available element refs you can scroll to (only use refs from this list):
-${refsWithNames}
+Segments (JSON):
+${JSON.stringify(source, null, 2)}
 
-Generate narration that flows naturally through the page from top to bottom. As you mention different parts of the page, we'll scroll to show them.
+Phrases (JSON):
+${JSON.stringify(phrases)}
 
 Guidelines:
-- Create 3-5 segments that flow naturally as one continuous narration
-- Each segment should be 1-2 sentences
-- Start at the top of the page and work your way down
-- For scrollTo, use "top" for the first segment, then use ref IDs (e.g. "e13", "e83", "e121") for elements you want to scroll to
-- ONLY use ref IDs that appear in the list above - do not invent selectors
-- Pick refs for headings, sections, or landmarks that match what you're talking about
-- Keep it natural and conversational - this will be converted to speech
-- Stay in character throughout`,
+- Return exactly ${source.length} segments, in the same order, one for each segment above
+- Translate each segment's text, and its chapter title if it has one
+- Return exactly ${phrases.length} phrases: for each phrase above, the exact words from your translated text that say the same thing
+- Keep the persona's tone and humor; adapt idioms rather than translating them word for word
+- Keep product names, brand names and UI labels that appear on the page as they are
+- This will be spoken aloud, so keep it natural and about as long as the original`,
+      },
+    ],
+    schemaName: "translation",
+    schema: {
+      type: "object",
+      properties: {
+        segments: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              text: { type: "string", description: "The translated narration for this segment" },
+              chapter: { type: "string", description: "The translated chapter title, if the segment has one" }
+            },
+            required: ["text"],
+            additionalProperties: false
+          }
         },
-      ],
-      output_format: {
-        type: "json_schema",
-        schema: {
-          type: "object",
-          properties: {
-            segments: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  text: {
-                    type: "string",
-                    description: "The spoken narration for this segment"
-                  },
-                  scrollTo: {
-                    type: "string",
-                    description: "Element ref ID to scroll to (e.g. 'e13', 'e83') or 'top'/'bottom'. Must be from the provided refs list."
-                  }
-                },
-                required: ["text", "scrollTo"],
-                additionalProperties: false
-              }
-            }
-          },
-          required: ["segments"],
-          additionalProperties: false
+        phrases: {
+          type: "array",
+          items: { type: "string" }
         }
-      }
-    }),
+      },
+      required: ["segments", "phrases"],
+      additionalProperties: false
+    },
+    maxTokens: 2000,
+    // A translation that lost or merged segments can't be lined up with the original
+    validate: value => (!Array.isArray(value?.segments) || !Array.isArray(value.phrases)
+      ? "no segments or phrases"
+      : value.segments.length !== segments.length
+        ? `${value.segments.length} segments for ${segments.length}`
+        : value.segments.some(segment => typeof segment?.text !== "string" || !segment.text.trim())
+          ? "a segment has no text"
+          : null),
+  }, { signal, logDebug });
+
+  return {
+    segments: segments.map((segment, i) => ({
+      ...segment,
+      text: translated.segments[i].text,
+      ...(segment.chapter ? { chapter: translated.segments[i].chapter || segment.chapter } : {}),
+    })),
+    // Original phrase -> translated phrase; a missing one keeps the original
+    phrases: Object.fromEntries(phrases.map((phrase, i) => [phrase, translated.phrases[i] || phrase])),
+  };
+}
+
+// Translate a page's narration and its highlight and action phrases, from
+// the cache when the same page was already translated into the language.
+// Returns the translated narrationData, highlights and actions.
+async function translatePage(page, from, to, persona, cache, { narrator, signal, logDebug } = {}) {
+  const llm = resolveLlm(narrator);
+  const items = [...(page.highlights || []), ...(page.actions || [])];
+  const phrases = [...new Set(items.map(item => item.onText).filter(Boolean))];
+  const key = cacheKey({
+    translate: sha256(JSON.stringify({ segments: page.narrationData.segments, phrases })),
+    from,
+    to,
+    persona,
+    model: llm.model,
+    provider: llm.provider === "anthropic" ? undefined : llm.provider,
   });
+  let translated = cache.get("narration", key);
+  if (!translated) {
+    translated = await translateNarration(page.narrationData.segments, from, to, persona, phrases, { llm, signal, logDebug });
+    cache.put("narration", key, translated);
+  }
+
+  const rephrase = list => list?.map(item => (item.onText ? { ...item, onText: translated.phrases[item.onText] || item.onText } : item));
+  return {
+    narrationData: { segments: translated.segments },
+    highlights: rephrase(page.highlights),
+    actions: rephrase(page.actions),
+  };
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Claude API error: ${error}`);
+// Speak text into an MP3 at clipPath. Same text in the same voice and model,
+// from the same server, is served from the cache.
+async function speak(text, clipPath, voice = {}, cache = null, signal = null) {
+  const resolved = resolveVoice(voice);
+  const key = cacheKey({ text, ...resolved, server: speechCacheFields(resolved) });
+  let speech = cache?.get("audio", key, clipPath);
+  if (!speech) {
+    speech = await synthesizeSpeech(text, clipPath, resolved, { signal });
+    cache?.put("audio", key, speech, clipPath);
   }
+  return speech;
+}
 
-  const data = await response.json();
+// Speak a dialogue: each speaker's run of segments in their own voice, joined
+// with a short pause into one clip whose timings cover the whole text
+async function speakDialogue(runs, clipPath, cache, signal) {
+  const parts = [];
+  try {
+    for (const [i, run] of runs.entries()) {
+      const partPath = clipPath.replace(/\.mp3$/, `_part${i + 1}.mp3`);
+      const text = run.segments.map(s => s.text).join(" ");
+      const speech = await speak(text, partPath, run.voice, cache, signal);
+      // Offsets use the file's real length: engines may pad past the last character
+      const duration = await runCommand(
+        "ffprobe",
+        ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", partPath],
+        signal
+      );
+      parts.push({ path: partPath, speech, durationSec: parseFloat(duration.trim()) || speech.durationSec });
+    }
 
-  // With structured outputs, the response is guaranteed to be valid JSON
-  const narrationData = JSON.parse(data.content[0].text);
+    const graph = parts.map((_, i) => {
+      const pad = i < parts.length - 1 ? `,apad=pad_dur=${SPEAKER_GAP_SECONDS}` : "";
+      return `[${i}:a]aformat=sample_rates=44100:channel_layouts=mono${pad}[p${i}]`;
+    });
+    graph.push(`${parts.map((_, i) => `[p${i}]`).join("")}concat=n=${parts.length}:v=0:a=1[out]`);
+    await runCommand(
+      "ffmpeg",
+      [...FFMPEG_QUIET, "-y", ...parts.flatMap(part => ["-i", part.path]), "-filter_complex", graph.join(";"), "-map", "[out]", "-codec:a", "libmp3lame", "-b:a", "128k", clipPath],
+      signal
+    );
+  } finally {
+    for (const part of parts) {
+      try {
+        unlinkSync(part.path);
+      } catch (e) {}
+    }
+  }
 
-  return narrationData;
+  return joinAlignments(parts);
 }
 
-// Calculate segment start times based on character positions in the full text
-function calculateSegmentTimings(segments, charStartTimes, characters) {
-  const fullText = segments.map(s => s.text).join(' ');
-  const segmentTimings = [];
-  let charOffset = 0;
+// Generate audio with the configured TTS provider. With runs (a dialogue),
+// each speaker's lines are spoken in their own voice.
+async function generateAudio(text, clipPath, segments = null, voice = {}, cache = null, runs = null, signal = null) {
+  const speech = runs && runs.length > 1
+    ? await speakDialogue(runs, clipPath, cache, signal)
+    : await speak(text, clipPath, runs?.[0].voice ?? voice, cache, signal);
+  const { characters, charStartTimes, charEndTimes, durationSec } = speech;
 
-  for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i];
-    const segmentText = segment.text;
+  console.error(`[narrator] TTS alignment: ${charStartTimes.length} char times`);
 
-    // Find the start time for this segment
-    const startTime = charOffset < charStartTimes.length ? charStartTimes[charOffset] : 0;
+  const durationMs = Math.round(durationSec * 1000);
+
+  // Calculate segment timings if segments provided
+  let segmentTimings = null;
+  if (segments && segments.length > 0) {
+    segmentTimings = calculateSegmentTimings(segments, charStartTimes, characters);
+    console.error(`[narrator] Segment timings calculated for ${segmentTimings.length} segments`);
+  }
 
-    // Calculate end position (add segment length + 1 for space)
-    const endCharOffset = charOffset + segmentText.length;
-    const endTime = endCharOffset < charStartTimes.length ? charStartTimes[endCharOffset] : charStartTimes[charStartTimes.length - 1];
+  return { durationMs, durationSec, charStartTimes, charEndTimes, characters, segmentTimings };
+}
+
+// === HIGHLIGHTS ===
+
+// Runs in the page: draw an overlay for a resolved highlight
+function showHighlightInPage(h) {
+  const color = "#ff3b30";
+
+  if (!document.getElementById("narrator-hl-style")) {
+    const style = document.createElement("style");
+    style.id = "narrator-hl-style";
+    style.textContent = [
+      ".narrator-hl { position: absolute; pointer-events: none; z-index: 2147483647; box-sizing: border-box; opacity: 0; transition: opacity 0.25s ease-out; }",
+      ".narrator-hl.visible { opacity: 1; }",
+      "@keyframes narrator-pulse { 0%, 100% { box-shadow: 0 0 0 0 rgba(255, 59, 48, 0.6); } 50% { box-shadow: 0 0 0 14px rgba(255, 59, 48, 0); } }",
+      "@keyframes narrator-nudge { 0%, 100% { transform: translateX(0); } 50% { transform: translateX(8px); } }",
+    ].join("\n");
+    document.head.appendChild(style);
+  }
 
-    segmentTimings.push({
-      text: segmentText,
-      scrollTo: segment.scrollTo,
-      startTimeSec: startTime,
-      endTimeSec: endTime,
-      startTimeMs: Math.round(startTime * 1000),
-      endTimeMs: Math.round(endTime * 1000),
+  const overlay = document.createElement("div");
+  overlay.id = h.id;
+  overlay.className = "narrator-hl";
+  const px = (n) => `${Math.round(n)}px`;
+
+  if (h.style === "circle") {
+    const r = h.radius ?? 50;
+    Object.assign(overlay.style, {
+      left: px(h.x - r), top: px(h.y - r), width: px(r * 2), height: px(r * 2),
+      border: `4px solid ${color}`, borderRadius: "50%",
+    });
+  } else if (h.style === "rectangle") {
+    Object.assign(overlay.style, {
+      left: px(h.x), top: px(h.y), width: px(h.width ?? 100), height: px(h.height ?? 60),
+      border: `4px solid ${color}`, borderRadius: "8px",
     });
+  } else {
+    const el = document.querySelector(h.selector);
+    if (!el) return JSON.stringify({ ok: false, reason: `No element matches ${h.selector}` });
+
+    const rect = el.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+      el.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+    // Document coordinates, so the overlay stays attached while scrolling
+    const left = rect.left + window.scrollX;
+    const top = rect.top + window.scrollY;
+    const pad = 6;
+
+    if (h.style === "arrow") {
+      const pointRight = left > 60;
+      overlay.textContent = pointRight ? "➡" : "⬅";
+      Object.assign(overlay.style, {
+        left: px(pointRight ? left - 56 : left + rect.width + 8), top: px(top + rect.height / 2 - 24),
+        fontSize: "44px", lineHeight: "48px", color,
+        animation: "narrator-nudge 0.8s ease-in-out infinite",
+      });
+    } else if (h.style === "zoom") {
+      overlay.dataset.selector = h.selector;
+      overlay.dataset.restore = JSON.stringify({
+        transform: el.style.transform, transition: el.style.transition,
+        boxShadow: el.style.boxShadow, position: el.style.position, zIndex: el.style.zIndex,
+      });
+      Object.assign(el.style, {
+        transition: "transform 0.4s ease-out, box-shadow 0.4s ease-out",
+        transform: "scale(1.15)", boxShadow: "0 12px 40px rgba(0, 0, 0, 0.35)",
+        position: el.style.position || "relative", zIndex: "2147483646",
+      });
+    } else {
+      Object.assign(overlay.style, {
+        left: px(left - pad), top: px(top - pad), width: px(rect.width + pad * 2), height: px(rect.height + pad * 2),
+        border: `4px solid ${color}`, borderRadius: "8px",
+        animation: h.style === "pulse" ? "narrator-pulse 1.2s ease-in-out infinite" : "",
+      });
+    }
+  }
+
+  document.body.appendChild(overlay);
+  requestAnimationFrame(() => overlay.classList.add("visible"));
+  return JSON.stringify({ ok: true });
+}
 
-    // Move offset past this segment + space
-    charOffset = endCharOffset + 1;
+// Runs in the page: fade out an overlay and undo any zoom
+function hideHighlightInPage(id) {
+  const overlay = document.getElementById(id);
+  if (!overlay) return;
+  if (overlay.dataset.restore) {
+    const el = document.querySelector(overlay.dataset.selector);
+    if (el) Object.assign(el.style, JSON.parse(overlay.dataset.restore));
   }
+  overlay.classList.remove("visible");
+  setTimeout(() => overlay.remove(), 300);
+}
+
+// === REDACTION ===
 
-  return segmentTimings;
+// Parse JSON returned by a page function (eval may print it quoted)
+function parsePageResult(output) {
+  const value = JSON.parse(output);
+  return typeof value === "string" ? JSON.parse(value) : value;
 }
 
-// Generate audio via ElevenLabs
-async function generateAudio(text, clipPath, segments = null) {
-  const voiceId = process.env.ELEVENLABS_VOICE_ID || "JBFqnCBsd6RMkjVDRZzb";
-  const apiKey = process.env.ELEVENLABS_API_KEY;
+// Runs in the page: the text shown by redacted elements, one line per entry,
+// so it can be stripped from the snapshot
+function redactedTextInPage(selectors) {
+  const texts = [];
+  for (const selector of selectors) {
+    let elements = [];
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch (e) {
+      continue;
+    }
+    for (const el of elements) {
+      const values = [el.innerText, el.value, el.getAttribute("aria-label"), el.getAttribute("title"), el.getAttribute("alt")];
+      for (const value of values) {
+        if (typeof value !== "string") continue;
+        texts.push(...value.split("\n").map(line => line.trim()).filter(Boolean));
+      }
+    }
+  }
+  return JSON.stringify(texts);
+}
 
-  if (!apiKey) {
-    throw new Error("ELEVENLABS_API_KEY not set");
+// Runs in the page: blur or black out redacted elements, and wrap detected
+// PII in masked spans. A MutationObserver keeps masking content that appears
+// later (actions, lazy loading) for as long as the page is open.
+function maskPageInPage(config) {
+  const filter = config.style === "blackout" ? "brightness(0)" : "blur(10px)";
+  const attr = "data-narrator-redacted";
+
+  let style = document.getElementById("narrator-redact-style");
+  if (!style) {
+    style = document.createElement("style");
+    style.id = "narrator-redact-style";
+    document.head.appendChild(style);
   }
+  // One rule per selector, so a bad selector only drops itself
+  style.textContent = [`[${attr}]`, ...config.selectors]
+    .map(selector => `${selector} { filter: ${filter} !important; }`)
+    .join("\n");
+
+  if (!config.pattern) return JSON.stringify({ ok: true, masked: 0 });
+
+  const pattern = new RegExp(config.pattern, "g");
+  const skip = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA"]);
+  let masked = 0;
+
+  const maskText = () => {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const parent = node.parentElement;
+      if (!parent || skip.has(parent.tagName) || parent.closest(`[${attr}]`)) continue;
+      pattern.lastIndex = 0;
+      if (pattern.test(node.nodeValue)) nodes.push(node);
+    }
 
-  const response = await fetch(
-    `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps?output_format=mp3_44100_128`,
-    {
-      method: "POST",
-      headers: {
-        "xi-api-key": apiKey,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        text: text,
-        model_id: "eleven_multilingual_v2",
-      }),
+    for (const node of nodes) {
+      const text = node.nodeValue;
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      for (const match of text.matchAll(pattern)) {
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const span = document.createElement("span");
+        span.setAttribute(attr, "");
+        span.textContent = match[0];
+        fragment.appendChild(span);
+        last = match.index + match[0].length;
+        masked++;
+      }
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.replaceWith(fragment);
     }
-  );
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`ElevenLabs API error: ${error}`);
+    for (const field of document.querySelectorAll("input, textarea")) {
+      pattern.lastIndex = 0;
+      if (pattern.test(field.value)) field.setAttribute(attr, "");
+    }
+  };
+
+  if (window.__narratorRedactObserver) window.__narratorRedactObserver.disconnect();
+  const observer = new MutationObserver(() => {
+    observer.disconnect();
+    maskText();
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  });
+  window.__narratorRedactObserver = observer;
+
+  maskText();
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  document.addEventListener("input", maskText, true);
+
+  return JSON.stringify({ ok: true, masked });
+}
+
+// Mask the current page before it is filmed
+async function maskPage(browser, redaction, logDebug) {
+  const sources = redaction.detect.map(name => `(?:${DETECTORS[name]})`);
+  try {
+    const result = await callInPage(browser, maskPageInPage, {
+      selectors: redaction.selectors,
+      style: redaction.style,
+      pattern: sources.length > 0 ? sources.join("|") : null,
+    });
+    logDebug(`Redaction applied (${redaction.style}): ${redaction.selectors.length} selectors, detectors: ${redaction.detect.join(", ") || "none"} ${result}`);
+  } catch (e) {
+    // Filming unmasked data is worse than not filming at all
+    throw new Error(`Could not apply redaction: ${e.message}`);
   }
+}
 
-  const data = await response.json();
+// Actions that can load a new document, which doesn't carry the old one's masking
+function mayNavigate(action) {
+  return action.action === "click" || action.action === "press" || (action.action === "wait" && Boolean(action.load));
+}
 
-  // Decode and save audio
-  const audioBuffer = Buffer.from(data.audio_base64, "base64");
-  writeFileSync(clipPath, audioBuffer);
+// After an action that may have navigated, mask the new document as soon as
+// its DOM is ready, before the timeline moves on
+async function remaskAfterNavigation(browser, redaction, logDebug) {
+  try {
+    await browser.waitForLoad("domcontentloaded", 10000);
+  } catch (e) {
+    logDebug(`Waiting for the page after an action failed: ${e.message}`);
+  }
+  let masked = false;
+  try {
+    masked = parsePageResult(await browser.eval("JSON.stringify(Boolean(window.__narratorRedactObserver))"));
+  } catch (e) {}
+  if (!masked) {
+    logDebug("The action loaded a new document, masking it again");
+    await maskPage(browser, redaction, logDebug);
+  }
+}
 
-  // Get duration and timing alignment from response
-  const alignment = data.alignment || {};
-  const charStartTimes = alignment.character_start_times_seconds || [];
-  const charEndTimes = alignment.character_end_times_seconds || [];
-  const characters = alignment.characters || [];
+// Strip redacted text from a snapshot and its ref names before prompting
+async function redactSnapshot(browser, snapshot, refs, redaction, logDebug) {
+  let texts = [];
+  if (redaction.selectors.length > 0) {
+    try {
+      texts = parsePageResult(await callInPage(browser, redactedTextInPage, redaction.selectors));
+    } catch (e) {
+      throw new Error(`Could not read redacted elements: ${e.message}`);
+    }
+  }
+  logDebug(`Redacting snapshot: ${texts.length} element texts, detectors: ${redaction.detect.join(", ") || "none"}`);
 
-  console.error(`[narrator] ElevenLabs alignment: ${charStartTimes.length} char times`);
+  const redactedRefs = Object.fromEntries(
+    Object.entries(refs).map(([id, info]) => [id, info.name ? { ...info, name: redactText(info.name, redaction, texts) } : info])
+  );
+  return { snapshot: redactText(snapshot, redaction, texts), refs: redactedRefs };
+}
 
-  const durationSec = charEndTimes.length > 0 ? charEndTimes[charEndTimes.length - 1] : 3;
-  const durationMs = Math.round(durationSec * 1000);
+// === PAGE ACTIONS ===
 
-  // Calculate segment timings if segments provided
-  let segmentTimings = null;
-  if (segments && segments.length > 0) {
-    segmentTimings = calculateSegmentTimings(segments, charStartTimes, characters);
-    console.error(`[narrator] Segment timings calculated for ${segmentTimings.length} segments`);
+// Element target for the browser driver: a snapshot ref or a CSS selector
+function actionTarget(action) {
+  if (action.ref) return { ref: action.ref.replace(/^@/, "") };
+  if (action.selector) return { selector: action.selector };
+  throw new Error(`${action.action} needs a ref or selector`);
+}
+
+// Run one scripted interaction (click, fill, type, hover, press, select, wait).
+// With secret, the whole value is treated as a secret, as for login steps.
+async function runPageAction(browser, action, { secret = false } = {}) {
+  switch (action.action) {
+    case "click":
+      return browser.click(actionTarget(action));
+    case "fill":
+      return browser.fill(actionTarget(action), resolveSecrets(action.value, { secret }));
+    case "type":
+      return browser.type(actionTarget(action), resolveSecrets(action.value, { secret }));
+    case "hover":
+      return browser.hover(actionTarget(action));
+    case "press":
+      if (!action.key) throw new Error("press needs a key");
+      return browser.press(action.key);
+    case "select":
+      return browser.select(actionTarget(action), resolveSecrets(action.value, { secret }));
+    case "wait": {
+      const timeout = (action.timeout ?? 30) * 1000;
+      if (action.load) return browser.waitForLoad(action.load, timeout);
+      if (action.ref || action.selector) return browser.waitFor(actionTarget(action), timeout);
+      return browser.wait(action.ms ?? 1000);
+    }
+    default:
+      throw new Error(`Unknown action: ${action.action}`);
   }
+}
 
-  return { durationMs, durationSec, charStartTimes, charEndTimes, characters, segmentTimings };
+// Run a page's actions back to back, e.g. before taking the research snapshot
+async function runPageActions(browser, actions, logDebug) {
+  for (const action of actions) {
+    logDebug(`Action: ${describeAction(action)}`);
+    try {
+      await runPageAction(browser, action);
+    } catch (e) {
+      logDebug(`Action failed: ${e.message}`);
+    }
+    await sleep(300);
+  }
 }
 
+// Short description of an action for the debug log (never includes typed values)
+function describeAction(action) {
+  const target = action.ref ? `@${action.ref.replace(/^@/, "")}` : action.selector || action.key || action.load || (action.ms !== undefined ? `${action.ms}ms` : "");
+  return `${action.action} ${target}`.trim();
+}
 
-// Upload to Mux
-async function uploadToMux(videoPath) {
-  const tokenId = process.env.MUX_TOKEN_ID;
-  const tokenSecret = process.env.MUX_TOKEN_SECRET;
 
-  if (!tokenId || !tokenSecret) {
-    throw new Error("MUX_TOKEN_ID and MUX_TOKEN_SECRET must be set");
+// Scroll the recording browser to a narration target
+async function scrollToTarget(browser, targetScrollTo, logDebug) {
+  if (targetScrollTo === 'top') {
+    logDebug(`Scrolling to top of page`);
+    await browser.eval(`window.scrollTo({ top: 0, behavior: 'smooth' })`);
+  } else if (targetScrollTo === 'bottom') {
+    logDebug(`Scrolling to bottom of page`);
+    await browser.eval(`window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' })`);
+  } else if (/^\d+(\.\d+)?%$/.test(targetScrollTo)) {
+    const fraction = parseFloat(targetScrollTo) / 100;
+    logDebug(`Scrolling to ${targetScrollTo} of page`);
+    await browser.eval(`window.scrollTo({ top: (document.body.scrollHeight - window.innerHeight) * ${fraction}, behavior: 'smooth' })`);
+  } else if (/^\d+px$/.test(targetScrollTo)) {
+    // A page y coordinate, e.g. a region picked out of a screenshot: shown a
+    // little below the top of the view
+    logDebug(`Scrolling to y ${targetScrollTo}`);
+    await browser.eval(`window.scrollTo({ top: Math.max(0, ${parseInt(targetScrollTo, 10)} - window.innerHeight / 4), behavior: 'smooth' })`);
+  } else if (/^e\d+$/.test(targetScrollTo)) {
+    // Use scrollintoview with ref directly
+    try {
+      await browser.scrollIntoView(targetScrollTo);
+      logDebug(`Scrolled to ref @${targetScrollTo}`);
+    } catch (e) {
+      logDebug(`Failed to scroll to ref @${targetScrollTo}: ${e.message}`);
+    }
+  } else {
+    // Anything else is a CSS selector from a custom narration cue
+    try {
+      const result = await callInPage(browser, scrollToSelectorInPage, targetScrollTo);
+      logDebug(`Scroll to selector ${targetScrollTo}: ${result}`);
+    } catch (e) {
+      logDebug(`Failed to scroll to selector ${targetScrollTo}: ${e.message}`);
+    }
   }
+}
 
-  // Create upload
-  const createResponse = await fetch("https://api.mux.com/video/v1/uploads", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Basic ${Buffer.from(`${tokenId}:${tokenSecret}`).toString("base64")}`,
-    },
-    body: JSON.stringify({
-      new_asset_settings: {
-        playback_policy: ["public"],
-        video_quality: "basic",
-      },
-      cors_origin: "*",
-    }),
+// Runs in the page: center the first element matching a selector
+function scrollToSelectorInPage(selector) {
+  const el = document.querySelector(selector);
+  if (!el) return "not found";
+  el.scrollIntoView({ block: "center", behavior: "smooth" });
+  return "ok";
+}
+
+// === BROWSER ENVIRONMENT ===
+
+// Emulate a page's device, viewport, color scheme, motion preference and
+// locale. Runs before each page opens so both passes see the same page.
+// headers are extra HTTP headers from auth, sent along with Accept-Language.
+async function applyEnvironment(browser, env, logDebug, headers = {}) {
+  logDebug(`Environment: ${env.device} ${env.viewport.width}x${env.viewport.height}, ${env.colorScheme}${env.reducedMotion ? ", reduced motion" : ""}${env.locale ? `, ${env.locale}` : ""}${env.timezone ? `, ${env.timezone}` : ""}`);
+
+  await browser.emulate({
+    device: DEVICE_PRESETS[env.device].device,
+    viewport: env.viewport,
+    colorScheme: env.colorScheme,
+    reducedMotion: env.reducedMotion,
+    locale: env.locale,
+    timezone: env.timezone,
+    // Always set, so one page's headers don't carry over to the next
+    headers: { ...headers, ...(env.locale ? { "Accept-Language": env.locale } : {}) },
   });
+}
 
-  const uploadData = await createResponse.json();
-  const uploadUrl = uploadData.data.url;
-  const uploadId = uploadData.data.id;
+// === AUTHENTICATION ===
+// Cookies and logged-in sessions live in the browser's storage state. The
+// research pass builds it (loading a saved state, setting cookies, running the
+// login steps) and saves it to the session, and the performance pass loads it
+// instead of logging in on camera. Headers and HTTP credentials are per
+// browser, so both passes set them.
 
-  // Upload file
-  const videoBuffer = readFileSync(videoPath);
-  await fetch(uploadUrl, {
-    method: "PUT",
-    headers: { "Content-Type": "video/webm" },
-    body: videoBuffer,
-  });
+async function authenticate(browser, auth, session, firstUrl) {
+  const { sessionDir, logDebug, signal } = session;
 
-  // Wait for processing
-  await sleep(5000);
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    await browser.setCredentials(resolveSecrets(username, { secret: true }), resolveSecrets(password, { secret: true }));
+  }
 
-  // Get asset ID
-  const uploadStatusResponse = await fetch(
-    `https://api.mux.com/video/v1/uploads/${uploadId}`,
-    {
-      headers: {
-        Authorization: `Basic ${Buffer.from(`${tokenId}:${tokenSecret}`).toString("base64")}`,
-      },
+  const statePath = join(sessionDir, AUTH_STATE_FILE);
+  if (existsSync(statePath)) {
+    logDebug(`Reusing saved login state`);
+    await browser.loadState(statePath);
+    return;
+  }
+
+  if (auth.storageState) {
+    logDebug(`Loading storage state from ${auth.storageState}`);
+    await browser.loadState(auth.storageState);
+  }
+
+  // Cookies are set on the page they belong to
+  for (const cookie of auth.cookies || []) {
+    logDebug(`Setting cookie ${cookie.name}`);
+    await openUrl(browser, cookie.url || firstUrl);
+    await browser.setCookie(cookie.name, resolveSecrets(cookie.value, { secret: true }));
+  }
+
+  if (auth.login) {
+    logDebug(`Logging in at ${auth.login.url}`);
+    await openUrl(browser, auth.login.url);
+    await sleep(1000, signal);
+
+    // Unlike page actions, a failed login step stops the recording, and
+    // every value it enters is redacted
+    for (const step of auth.login.steps) {
+      logDebug(`Login step: ${describeAction(step)}`);
+      await runPageAction(browser, step, { secret: true });
+      await sleep(300, signal);
     }
-  );
-  const uploadStatus = await uploadStatusResponse.json();
-  const assetId = uploadStatus.data.asset_id;
 
-  // Get playback ID
-  const assetResponse = await fetch(
-    `https://api.mux.com/video/v1/assets/${assetId}`,
-    {
-      headers: {
-        Authorization: `Basic ${Buffer.from(`${tokenId}:${tokenSecret}`).toString("base64")}`,
-      },
+    if (auth.login.successSelector) {
+      try {
+        await browser.waitFor({ selector: auth.login.successSelector }, 30000);
+      } catch (e) {
+        throw new Error(`Login failed: ${auth.login.successSelector} did not appear`);
+      }
     }
-  );
-  const assetData = await assetResponse.json();
-  const playbackId = assetData.data.playback_ids[0].id;
+  }
 
-  return `https://stream.mux.com/${playbackId}`;
+  await browser.saveState(statePath);
+  try {
+    chmodSync(statePath, 0o600);
+  } catch (e) {}
 }
 
+// Delete the saved login state once nothing needs it
+function discardAuthState(session) {
+  try {
+    unlinkSync(join(session.sessionDir, AUTH_STATE_FILE));
+  } catch (e) {}
+}
 
-// Main recording function
-async function createNarratedRecording(persona, pages, globalHighlightDefaults) {
-  const sessionId = Date.now();
-  const sessionDir = join(SESSION_BASE, `session-${sessionId}`);
-  mkdirSync(sessionDir, { recursive: true });
-
-  console.error(`[narrator] Starting session: ${sessionDir}`);
-  console.error(`[narrator] Persona: ${persona}`);
-  console.error(`[narrator] Pages: ${pages.length}`);
+// Render options worth keeping in the manifest (not the per-call signal/callback)
+function persistedOptions({ signal, onProgress, ...options }) {
+  return options;
+}
 
+// Wire up logging, progress, cancellation and manifest helpers for a session directory
+function sessionHandle(sessionDir, manifest, { signal, onProgress } = {}) {
   // Create debug log file
   const debugLogPath = join(sessionDir, "debug.log");
-  const logDebug = (msg) => {
+  const logDebug = (message) => {
+    const msg = redactSecrets(message);
     const line = `[${new Date().toISOString()}] ${msg}\n`;
     console.error(`[narrator] ${msg}`);
     appendFileSync(debugLogPath, line);
   };
 
-  // Video output path
-  const videoPath = join(sessionDir, "recording.webm");
-  const clips = [];
+  const report = (phase, details = {}) => {
+    if (onProgress) onProgress({ phase, sessionDir, ...details });
+  };
+
+  // Called between steps: stops the recording once cancelled
+  const checkCancelled = () => {
+    if (signal?.aborted) throw new Error("Recording cancelled");
+  };
+
+  // Phase bookkeeping, saved to manifest.json as it happens
+  const save = () => saveManifest(sessionDir, manifest);
+  const phases = {
+    isComplete: (phase) => isPhaseComplete(manifest, phase),
+    start: (phase) => {
+      startPhase(manifest, phase);
+      save();
+    },
+    complete: (phase, data) => {
+      completePhase(manifest, phase, data);
+      save();
+    },
+    fail: (error) => {
+      failPhase(manifest, error);
+      save();
+    },
+  };
+
+  const cache = createCache(manifest.options?.cache, logDebug);
+
+  report(null);
+  return { sessionId: manifest.sessionId, sessionDir, manifest, logDebug, signal, report, checkCancelled, save, phases, cache };
+}
+
+// Create a session directory with its debug log and manifest.
+// signal cancels the recording; onProgress({ phase, page, pages, message }) reports progress.
+function createSession(options = {}, kind = "recording", details = {}) {
+  const sessionId = Date.now();
+  const sessionDir = join(SESSION_BASE, `session-${sessionId}`);
+  mkdirSync(sessionDir, { recursive: true });
+
+  const manifest = createManifest(sessionId, kind, { ...details, options: persistedOptions(options) });
+  saveManifest(sessionDir, manifest);
+
+  console.error(`[narrator] Starting session: ${sessionDir}`);
+  return sessionHandle(sessionDir, manifest, options);
+}
+
+// Session directory from a path, a "session-<id>" name or a bare session id
+function resolveSessionDir(session) {
+  const value = String(session || "").trim();
+  if (!value) {
+    throw new Error("A session directory or session id is required");
+  }
+  if (/^\d+$/.test(value)) return join(SESSION_BASE, `session-${value}`);
+  if (/^session-\d+$/.test(value)) return join(SESSION_BASE, value);
+  return resolve(value);
+}
+
+// Reopen an existing session from its manifest
+function openSession(sessionDir, options = {}) {
+  const manifest = loadManifest(sessionDir);
+  console.error(`[narrator] Reopening session: ${sessionDir}`);
+  return sessionHandle(sessionDir, manifest, options);
+}
+
+// Research pass: visit each page, run its actions, snapshot it and narrate it.
+// options.environment holds the recording's browser settings (pages can
+// override them); options.auth logs in before the first page.
+async function runResearchPass(persona, pages, session, options = {}) {
+  const { logDebug, signal, report, checkCancelled, phases, cache } = session;
+  const { environment = {}, auth, redact } = options;
+  const speakers = options.speakers || null;
+  const language = options.language || null;
+  const vision = visionSettings(options.vision);
+  const narrator = options.narrator || {};
+  const llm = resolveLlm(narrator);
+  // Custom narration is written in narrationLanguage and translated if that isn't the recording's
+  const customLanguage = options.narrationLanguage || language;
+  const headers = authHeaders(auth);
   const pageData = [];
+  let browser = null;
 
   try {
+    phases.start("research");
+
     // === RESEARCH PASS ===
     // Visit each page, get snapshot, generate narration if not provided
     console.error(`[narrator] === RESEARCH PASS ===`);
 
     // Open browser for research
     console.error(`[narrator] Opening browser for research...`);
-    agentBrowser(`set viewport 1280 720`);
-    agentBrowser(`open "${pages[0].url}" --headed`, { timeout: 60000 });
-    await sleep(2000);
+    browser = await createBrowser({ headed: true, logDebug });
+    await applyEnvironment(browser, resolveEnvironment(pages[0].environment, environment), logDebug, headers);
+    await openUrl(browser, pages[0].url);
+    await sleep(2000, signal);
+
+    if (auth) {
+      await authenticate(browser, auth, session, pages[0].url);
+      await openUrl(browser, pages[0].url);
+      await sleep(2000, signal);
+    }
 
     for (let i = 0; i < pages.length; i++) {
       const page = pages[i];
+      checkCancelled();
+      report("research", { page: i, pages: pages.length, message: `Researching ${page.url}` });
       console.error(`[narrator] Researching page ${i + 1}: ${page.url}`);
 
       // Navigate if not first page
       if (i > 0) {
-        agentBrowser(`open "${page.url}"`, { timeout: 60000 });
-        await sleep(2000);
+        await applyEnvironment(browser, resolveEnvironment(page.environment, environment), logDebug, headers);
+        await openUrl(browser, page.url);
+        await sleep(2000, signal);
+      }
+
+      // Interact first so the snapshot reflects the post-interaction state.
+      // Actions marked research: false (a submit, a purchase) only run on camera.
+      const researchActions = (page.actions || []).filter(action => action.research !== false);
+      if (researchActions.length > 0) {
+        logDebug(`Running ${researchActions.length} actions before snapshot`);
+        await runPageActions(browser, researchActions, logDebug);
       }
 
       // Get snapshot of the page with refs
       console.error(`[narrator] Taking snapshot...`);
-      const snapshotJson = agentBrowser(`snapshot --json`);
-
-      // Parse JSON from output (skip any leading text/status lines)
-      const jsonStart = snapshotJson.indexOf('{');
-      const snapshotData = JSON.parse(snapshotJson.substring(jsonStart));
-      const snapshot = snapshotData.data.snapshot;
-      const refs = snapshotData.data.refs;
+      const snapshotData = await browser.snapshot();
+      // Credentials typed during login must not reach the narration prompt
+      let snapshot = redactSecrets(snapshotData.snapshot);
+      let refs = snapshotData.refs;
 
       logDebug(`Snapshot has ${Object.keys(refs).length} refs`);
 
-      // Generate narration
-      logDebug(`Generating narration with Claude...`);
-      const narrationData = await generateNarration(persona, page.url, snapshot, refs);
-      logDebug(`Generated ${narrationData.segments.length} segments`);
+      // Nor may anything the redact option hides
+      const redaction = resolveRedaction(page.redact, redact);
+      if (redaction) {
+        ({ snapshot, refs } = await redactSnapshot(browser, snapshot, refs, redaction, logDebug));
+      }
+
+      // Use custom narration verbatim, otherwise generate it
+      let narrationData;
+      let { highlights, actions } = page;
+      if (page.narration) {
+        narrationData = parseCustomNarration(page.narration, speakers);
+        logDebug(`Using custom narration: ${narrationData.segments.length} segments`);
+        if (language && !sameLanguage(customLanguage, language)) {
+          logDebug(`Translating custom narration from ${customLanguage} to ${language}`);
+          ({ narrationData, highlights, actions } = await translatePage({ narrationData, highlights, actions }, customLanguage, language, persona, cache, { narrator, signal, logDebug }));
+          checkCancelled();
+        }
+        for (const seg of narrationData.segments) {
+          if (/^e\d+$/.test(seg.scrollTo) && !refs[seg.scrollTo]) {
+            logDebug(`WARNING: Cue references unknown ref @${seg.scrollTo}`);
+          }
+        }
+      } else {
+        // Unchanged pages narrated by the same persona(s), model and prompt come from the cache
+        const key = cacheKey({
+          url: page.url,
+          snapshot: sha256(snapshot),
+          persona,
+          speakers: speakers?.map(({ name, persona }) => ({ name, persona })),
+          language: language || undefined,
+          vision: vision || undefined,
+          model: llm.model,
+          provider: llm.provider === "anthropic" ? undefined : llm.provider,
+          prompt: promptCacheFields(narratorSettings(narrator, { speakers })),
+        });
+        narrationData = cache.get("narration", key);
+        if (narrationData) {
+          logDebug(`Using cached narration: ${narrationData.segments.length} segments`);
+          // Cached before targets were checked
+          const { segments, repairs } = repairTargets(narrationData.segments, refs, { guess: true });
+          logRepairs(repairs, logDebug);
+          narrationData = { segments };
+        } else {
+          logDebug(`Generating narration with ${llm.model}...`);
+          const screenshots = vision ? await captureScreenshots(browser, session, i + 1, vision, redaction) : [];
+          narrationData = await generateNarration(persona, page.url, snapshot, refs, { speakers, language, screenshots, narrator, signal, logDebug });
+          checkCancelled();
+          cache.put("narration", key, narrationData);
+          logDebug(`Generated ${narrationData.segments.length} segments`);
+        }
+      }
       for (const seg of narrationData.segments) {
-        logDebug(`  Segment: "${seg.text.substring(0, 50)}..." -> scrollTo: ${seg.scrollTo}`);
+        logDebug(`  Segment: ${seg.speaker ? `${seg.speaker}: ` : ""}"${seg.text.substring(0, 50)}..." -> scrollTo: ${seg.scrollTo}`);
+
+        // Name the segment's chapter after the element it scrolls to
+        const ref = refs[seg.scrollTo];
+        if (ref && ref.name && !seg.chapter) {
+          seg.chapter = ref.name.length > 60 ? `${ref.name.slice(0, 59)}…` : ref.name;
+        }
+      }
+      const targets = await locateTargets(browser, narrationData.segments, refs, logDebug);
+
+      // Page title, for the script and chapter titles
+      let title = "";
+      try {
+        title = await browser.title();
+      } catch (e) {
+        logDebug(`Could not read page title: ${e.message}`);
       }
 
       pageData.push({
         url: page.url,
+        title,
         narrationData,
-        highlights: page.highlights,
+        highlights,
         highlightDefaults: page.highlightDefaults,
+        actions,
+        environment: page.environment,
+        redact: page.redact,
+        voice: page.voice,
+        targets,
       });
     }
 
     // Close browser after research
     console.error(`[narrator] Closing browser after research...`);
-    agentBrowser(`close`);
+    await browser.close();
     await sleep(1000);
 
-    // === AUDIO GENERATION ===
-    console.error(`[narrator] === GENERATING AUDIO ===`);
-    for (let i = 0; i < pageData.length; i++) {
-      const clipPath = join(sessionDir, `clip_${i + 1}.mp3`);
-      console.error(`[narrator] Generating audio for page ${i + 1}...`);
-
-      // Combine segment texts into full narration
-      const segments = pageData[i].narrationData.segments;
-      const fullNarration = segments.map(s => s.text).join(' ');
-
-      const audioData = await generateAudio(fullNarration, clipPath, segments);
-      clips.push({
-        clipNum: i + 1,
-        clipPath,
-        segments,
-        ...audioData
-      });
-      console.error(`[narrator] Audio duration: ${audioData.durationSec.toFixed(2)}s`);
-      if (audioData.segmentTimings) {
-        for (const st of audioData.segmentTimings) {
-          console.error(`[narrator]   Segment at ${st.startTimeSec.toFixed(2)}s: scroll to ${st.scrollTo}`);
-        }
-      }
-    }
+    phases.complete("research", { pageData });
+    return pageData;
+  } catch (error) {
+    console.error(`[narrator] Error: ${error.message}`);
+    phases.fail(error);
+    await closeBrowser(browser);
+    throw error;
+  }
+}
 
-    // === PERFORMANCE PASS (RECORDING) ===
-    console.error(`[narrator] === PERFORMANCE PASS ===`);
+// Describe the refs the narration scrolls to by role, name and page y, so
+// the performance pass can find the same elements in its own snapshot
+async function locateTargets(browser, segments, refs, logDebug) {
+  const targets = targetDescriptors(segments, refs);
+  for (const [ref, target] of Object.entries(targets)) {
+    try {
+      const bounds = await browser.box({ ref });
+      const scrollY = parseFloat(await browser.eval(`window.scrollY`)) || 0;
+      target.y = Math.round(bounds.y + scrollY);
+    } catch (e) {
+      logDebug(`No position for ref @${ref}: ${e.message}`);
+    }
+  }
+  return Object.keys(targets).length > 0 ? targets : undefined;
+}
 
-    // Set viewport
-    console.error(`[narrator] Setting viewport...`);
-    agentBrowser(`set viewport 1280 720`);
+// Photograph a page for the narration: a scaled-down view of the whole page
+// and sections a viewport tall, as JPEGs in the session's screenshots
+// directory. Redacted content is masked first, so it never reaches Claude.
+// Returns [{ path, caption }].
+async function captureScreenshots(browser, session, pageNum, vision, redaction) {
+  const { sessionDir, logDebug, signal } = session;
+  const dir = join(sessionDir, "screenshots");
+  mkdirSync(dir, { recursive: true });
+  if (redaction) await maskPage(browser, redaction, logDebug);
+
+  const { pageHeight, viewHeight } = parsePageResult(await browser.eval(
+    `JSON.stringify({ pageHeight: document.documentElement.scrollHeight, viewHeight: window.innerHeight })`
+  ));
+  const plan = screenshotPlan(pageHeight, viewHeight, vision);
+  const rawPath = join(dir, `page_${pageNum}.png`);
+  const screenshots = [];
+
+  // Scaled to what Claude uses and re-encoded as JPEG to keep requests small
+  const capture = async (name, caption, options) => {
+    const path = join(dir, `page_${pageNum}_${name}.jpg`);
+    await browser.screenshot(rawPath, options);
+    await runCommand("ffmpeg", [...FFMPEG_QUIET, "-y", "-i", rawPath, "-vf", SCREENSHOT_SCALE, "-q:v", "4", path], signal);
+    screenshots.push({ path, caption });
+  };
 
-    // Navigate to first page
-    console.error(`[narrator] Navigating to first page: ${pageData[0].url}`);
-    agentBrowser(`open "${pageData[0].url}" --headed`, { timeout: 60000 });
-    await sleep(2000);
+  try {
+    if (plan.fullPage) {
+      await capture("full", `The whole page, scaled down (${pageHeight}px tall)`, { fullPage: true });
+    }
+    for (const [k, top] of plan.offsets.entries()) {
+      await browser.eval(`window.scrollTo(0, ${top})`);
+      await sleep(300, signal);
+      await capture(`section_${k + 1}`, `The view scrolled to y ${top}px: page y ${top}px to ${top + viewHeight}px`, { fullPage: false });
+    }
+  } finally {
+    try {
+      unlinkSync(rawPath);
+    } catch (e) {}
+    await browser.eval(`window.scrollTo(0, 0)`).catch(() => {});
+  }
+
+  logDebug(`Captured ${screenshots.length} screenshots of a ${pageHeight}px page`);
+  return screenshots;
+}
+
+// Audio phase: speak each page's narration, in the page's own voice if it has
+// one, or in each speaker's voice for a dialogue. Clips already in the
+// manifest (from an interrupted run) are reused.
+async function generateClips(session, pageData, voice, speakers = null, language = null) {
+  const { sessionDir, manifest, report, checkCancelled, save, cache, signal } = session;
+  const clips = manifest.clips || [];
+
+  console.error(`[narrator] === GENERATING AUDIO ===`);
+  for (let i = 0; i < pageData.length; i++) {
+    const clipPath = join(sessionDir, `clip_${i + 1}.mp3`);
+    if (clips[i] && existsSync(clipPath)) {
+      console.error(`[narrator] Reusing audio for page ${i + 1}`);
+      continue;
+    }
+
+    checkCancelled();
+    report("audio", { page: i, pages: pageData.length, message: `Generating audio for page ${i + 1}` });
+    console.error(`[narrator] Generating audio for page ${i + 1}...`);
+
+    // Combine segment texts into full narration
+    const segments = pageData[i].narrationData.segments;
+    const fullNarration = segments.map(s => s.text).join(' ');
+    const runs = speakers
+      ? speakerRuns(segments).map(run => ({
+        ...run,
+        voice: voiceForLanguage(overrideVoice(voice, findSpeaker(speakers, run.speaker)?.voice), language),
+      }))
+      : null;
+    const pageVoice = voiceForLanguage(overrideVoice(voice, pageData[i].voice), language);
+
+    const audioData = await generateAudio(fullNarration, clipPath, segments, pageVoice, cache, runs, signal);
+    clips[i] = {
+      clipNum: i + 1,
+      clipPath,
+      segments,
+      ...audioData
+    };
+    manifest.clips = clips;
+    save();
+
+    console.error(`[narrator] Audio duration: ${audioData.durationSec.toFixed(2)}s`);
+    if (audioData.segmentTimings) {
+      for (const st of audioData.segmentTimings) {
+        console.error(`[narrator]   Segment at ${st.startTimeSec.toFixed(2)}s: scroll to ${st.scrollTo}`);
+      }
+    }
+  }
+
+  return clips.slice(0, pageData.length);
+}
+
+// Perform one timeline event. Failures are logged, never thrown: one missing
+// element shouldn't stop the recording. Masking that can't be applied again
+// after a navigating action does stop it.
+async function runTimelineEvent(browser, event, logDebug, redaction = null) {
+  if (event.type === "scroll") {
+    logDebug(`Scrolling to: ${event.scrollTo} at ${(event.atMs / 1000).toFixed(2)}s`);
+    await scrollToTarget(browser, event.scrollTo, logDebug);
+  } else if (event.type === "highlight") {
+    logDebug(`Highlight (${event.highlight.style}) on "${event.highlight.onText}" at ${(event.atMs / 1000).toFixed(2)}s`);
+    try {
+      const result = await callInPage(browser, showHighlightInPage, { id: event.id, ...event.highlight });
+      if (parsePageResult(result)?.ok === false) logDebug(`Highlight not drawn: ${result}`);
+    } catch (e) {
+      logDebug(`Failed to draw highlight: ${e.message}`);
+    }
+  } else if (event.type === "unhighlight") {
+    try {
+      await callInPage(browser, hideHighlightInPage, event.id);
+    } catch (e) {
+      logDebug(`Failed to remove highlight: ${e.message}`);
+    }
+  } else if (event.type === "action") {
+    logDebug(`Action: ${describeAction(event.action)} at ${(event.atMs / 1000).toFixed(2)}s`);
+    try {
+      await runPageAction(browser, event.action);
+    } catch (e) {
+      logDebug(`Action failed: ${e.message}`);
+    }
+    if (redaction && mayNavigate(event.action)) {
+      await remaskAfterNavigation(browser, redaction, logDebug);
+    }
+  }
+}
+
+// Pre-flight for a page's scroll targets: snapshot the recording browser and
+// map each ref the narration scrolls to onto the same element here, by role
+// and name, or onto its research position when it's gone. Returns
+// { ref: target } for the refs that changed.
+async function preflightTargets(browser, page, logDebug) {
+  const used = [...new Set(page.narrationData.segments.map(segment => segment.scrollTo).filter(target => /^e\d+$/.test(target)))];
+  if (used.length === 0) return {};
+
+  let refs;
+  try {
+    ({ refs } = await browser.snapshot());
+  } catch (e) {
+    logDebug(`Pre-flight snapshot failed, scrolling to the research refs: ${e.message}`);
+    return {};
+  }
+
+  const resolved = {};
+  for (const ref of used) {
+    const target = page.targets?.[ref];
+    const found = resolveRef(ref, target, refs);
+    const described = target ? ` (${target.role} "${target.name}")` : "";
+    if (found === ref) continue;
+    if (found) {
+      resolved[ref] = found;
+      logDebug(`Pre-flight: @${ref}${described} is @${found} here`);
+    } else if (target?.y !== undefined && !page.actions?.length) {
+      resolved[ref] = `${target.y}px`;
+      logDebug(`Pre-flight: @${ref}${described} not found, scrolling to its research position ${target.y}px`);
+    } else {
+      // With actions, the element may only appear once they've run
+      logDebug(`WARNING: Pre-flight: @${ref}${described} not found on the page yet`);
+    }
+  }
+  return resolved;
+}
+
+// Recording phase: play each page back in the browser, timed to its clip.
+// Returns a mark per page: where its narration starts and its footage ends in
+// recording.webm, and when each of its events actually ran.
+async function performRecording(session, pageData, clips, options = {}) {
+  const { sessionDir, logDebug, signal, report, checkCancelled } = session;
+  const { highlightDefaults: globalHighlightDefaults, environment = {}, auth, redact } = options;
+  const headers = authHeaders(auth);
+  const videoPath = join(sessionDir, "recording.webm");
+  let browser = null;
+
+  try {
+    // === PERFORMANCE PASS (RECORDING) ===
+    console.error(`[narrator] === PERFORMANCE PASS ===`);
+    report("recording", { page: 0, pages: pageData.length, message: "Opening browser" });
+    browser = await createBrowser({ headed: true, logDebug });
+
+    // Same device, viewport and media settings as the research pass
+    console.error(`[narrator] Setting up browser environment...`);
+    await applyEnvironment(browser, resolveEnvironment(pageData[0].environment, environment), logDebug, headers);
+
+    // Navigate to first page
+    console.error(`[narrator] Navigating to first page: ${pageData[0].url}`);
+    await openUrl(browser, pageData[0].url);
+    await sleep(2000, signal);
+
+    // Log in before the camera starts
+    if (auth) {
+      await authenticate(browser, auth, session, pageData[0].url);
+      await openUrl(browser, pageData[0].url);
+      await sleep(2000, signal);
+    }
 
     // Start recording
     console.error(`[narrator] Starting video recording: ${videoPath}`);
-    agentBrowser(`record start "${videoPath}"`);
+    await browser.recordStart(videoPath);
 
     const recordingStartMs = Date.now();
     const marks = [];
 
     // Process each page
     for (let i = 0; i < pageData.length; i++) {
-      const { url, narrationData, highlights, highlightDefaults } = pageData[i];
+      const { url } = pageData[i];
       const clipNum = i + 1;
       const clip = clips[i];
 
+      checkCancelled();
+      report("recording", { page: i, pages: pageData.length, message: `Recording ${url}` });
       console.error(`[narrator] Recording page ${clipNum}: ${url}`);
 
       // Navigate if not first page
       if (i > 0) {
-        agentBrowser(`open "${url}"`, { timeout: 60000 });
-        await sleep(1000);
+        await applyEnvironment(browser, resolveEnvironment(pageData[i].environment, environment), logDebug, headers);
+        await openUrl(browser, url);
+        await sleep(1000, signal);
       }
 
-      // Mark timestamp
-      const offsetMs = Date.now() - recordingStartMs;
-      marks.push({ clipNum, offsetMs, durationMs: clip.durationMs });
-      console.error(`[narrator] Marked clip ${clipNum} at offset ${offsetMs}ms`);
+      // Mask before the mark, so unmasked frames are cut from the video
+      const redaction = resolveRedaction(pageData[i].redact, redact);
+      if (redaction) {
+        await maskPage(browser, redaction, logDebug);
+      }
+
+      // Refs come from the research browser: find the same elements in this one
+      const scrollTargets = await preflightTargets(browser, pageData[i], logDebug);
 
       // Enable smooth scrolling and log page dimensions
-      agentBrowser(`eval "document.documentElement.style.scrollBehavior = 'smooth'"`);
-      const pageDimensions = agentBrowser(`eval "JSON.stringify({ scrollHeight: document.body.scrollHeight, viewportHeight: window.innerHeight, scrollable: document.body.scrollHeight > window.innerHeight })"`);
+      await browser.eval(`document.documentElement.style.scrollBehavior = 'smooth'`);
+      const pageDimensions = await browser.eval(`JSON.stringify({ scrollHeight: document.body.scrollHeight, viewportHeight: window.innerHeight, scrollable: document.body.scrollHeight > window.innerHeight })`);
       logDebug(`Page dimensions: ${pageDimensions}`);
 
-      // Content-aware scrolling based on segment timings
-      if (clip.segmentTimings && clip.segmentTimings.length > 0) {
-        logDebug(`Using content-aware scrolling with ${clip.segmentTimings.length} segments`);
-
-        const segmentStartTime = Date.now();
+      if (!clip.segmentTimings || clip.segmentTimings.length === 0) {
+        logDebug(`WARNING: Using fallback scrolling (no segment timings available)`);
+      }
 
-        for (let segIdx = 0; segIdx < clip.segmentTimings.length; segIdx++) {
-          const segment = clip.segmentTimings[segIdx];
-          const targetScrollTo = segment.scrollTo;
+      // Content-aware scrolling and highlights based on the narration timing
+      const timeline = buildPageTimeline(clip, pageData[i], globalHighlightDefaults, logDebug, scrollTargets);
+      logDebug(`Page timeline has ${timeline.length} events`);
 
-          // Wait until it's time to scroll to this segment
-          const elapsedMs = Date.now() - segmentStartTime;
-          const waitMs = segment.startTimeMs - elapsedMs;
-          if (waitMs > 0) {
-            await sleep(waitMs);
-          }
+      // Mark the page's start: its narration begins here
+      const pageStartMs = Date.now();
+      const offsetMs = pageStartMs - recordingStartMs;
+      console.error(`[narrator] Marked clip ${clipNum} at offset ${offsetMs}ms`);
 
-          logDebug(`Scrolling to: ${targetScrollTo} at ${segment.startTimeSec.toFixed(2)}s`);
-
-          // Scroll to the target element/position
-          if (targetScrollTo === 'top') {
-            logDebug(`Scrolling to top of page`);
-            agentBrowser(`eval "window.scrollTo({ top: 0, behavior: 'smooth' })"`);
-          } else if (targetScrollTo === 'bottom') {
-            logDebug(`Scrolling to bottom of page`);
-            agentBrowser(`eval "window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' })"`);
-          } else {
-            // Use scrollintoview with ref directly
-            try {
-              agentBrowser(`scrollintoview @${targetScrollTo}`);
-              logDebug(`Scrolled to ref @${targetScrollTo}`);
-            } catch (e) {
-              logDebug(`Failed to scroll to ref @${targetScrollTo}: ${e.message}`);
-            }
-          }
-        }
+      const events = await runTimeline(timeline, {
+        pageStartMs,
+        recordingStartMs,
+        execute: (event) => runTimelineEvent(browser, event, logDebug, redaction),
+        sleep: (ms) => sleep(ms, signal),
+      });
 
-        // Wait for the rest of the audio duration
-        const totalElapsed = Date.now() - segmentStartTime;
-        const remainingMs = clip.durationMs - totalElapsed;
-        if (remainingMs > 0) {
-          await sleep(remainingMs);
-        }
-      } else {
-        // Fallback: simple timed scroll if no segment timings
-        logDebug(`WARNING: Using fallback scrolling (no segment timings available)`);
-        await sleep(clip.durationMs);
+      // Keep filming until the narration ends, plus however late the page's
+      // events landed, so post-processing can shift the page without running short
+      const shiftMs = timelineShift(events);
+      const remainingMs = pageStartMs + clip.durationMs + shiftMs - Date.now();
+      if (remainingMs > 0) {
+        await sleep(remainingMs, signal);
       }
 
+      const endMs = Date.now() - recordingStartMs;
+      marks.push({ clipNum, offsetMs, durationMs: clip.durationMs, endMs, events });
+      logDebug(`Page ${clipNum}: ${events.length} events, ${shiftMs}ms median lateness, ${endMs - offsetMs}ms filmed`);
+
       console.error(`[narrator] Completed segment ${clipNum}`);
     }
 
     // Stop recording
     console.error(`[narrator] Stopping video recording...`);
-    agentBrowser(`record stop`);
+    await browser.recordStop();
 
     // Close browser
     console.error(`[narrator] Closing browser...`);
-    agentBrowser(`close`);
+    await browser.close();
+    discardAuthState(session);
 
     // Wait for video file to be written
     await sleep(1000);
@@ -526,104 +1420,665 @@ async function createNarratedRecording(persona, pages, globalHighlightDefaults)
       .join("\n");
     writeFileSync(marksPath, marksContent);
 
-    // === POST-PROCESSING ===
-    console.error(`[narrator] === POST-PROCESSING ===`);
+    return marks;
+  } catch (error) {
+    await closeBrowser(browser);
+    throw error;
+  }
+}
 
-    // Extract segments
-    console.error(`[narrator] Extracting segments...`);
-    const concatListPath = join(sessionDir, "concat_list.txt");
-    let concatList = "";
+// Post-processing phase: cut the pages out of recording.webm, add branding
+// (cards, lower thirds, watermark, crossfades), mix the clips and music over
+// them, then add captions and chapters
+async function postProcess(session, pageData, clips, marks, options = {}) {
+  const { sessionDir, logDebug, signal, report } = session;
+  const captionOptions = options.captions || {};
+  const chapterOptions = options.chapters || {};
+  const videoPath = join(sessionDir, "recording.webm");
 
-    for (const mark of marks) {
-      const startSec = (mark.offsetMs / 1000).toFixed(3);
-      const durationSec = (mark.durationMs / 1000).toFixed(3);
-      const segmentPath = join(sessionDir, `segment_${mark.clipNum}.mp4`);
+  // === POST-PROCESSING ===
+  console.error(`[narrator] === POST-PROCESSING ===`);
+  report("post", { message: "Extracting page segments" });
+
+  // Extract segments
+  console.error(`[narrator] Extracting segments...`);
+  const branding = options.branding;
+  const gapMs = pagePaddingMs(options.audio);
+  const concatListPath = join(sessionDir, "concat_list.txt");
+  const pieces = [];
+
+  // Every segment is fitted to the recording's viewport and frame rate so they join cleanly
+  const { width, height } = outputSize(options.environment, pageData);
+  const fitFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${OUTPUT_FPS}`;
+  logDebug(`Output size: ${width}x${height}`);
+
+  // Title card first. Branding filters run from the session dir, where their text files are.
+  const introPath = join(sessionDir, "card_intro.mp4");
+  const cardContext = { sessionDir, width, height, persona: options.persona, pageTitle: pageData[0]?.title };
+  const introArgs = cardArgs(branding, "intro", cardContext, introPath);
+  if (introArgs) {
+    report("post", { message: "Rendering title card" });
+    await runCommand("ffmpeg", [...FFMPEG_QUIET, "-y", ...introArgs], signal, { cwd: sessionDir });
+    pieces.push({ path: introPath });
+  }
 
-      console.error(`[narrator] Extracting segment ${mark.clipNum}: ${startSec}s for ${durationSec}s`);
+  for (const [i, mark] of marks.entries()) {
+    // Shifted by how late the page's events landed, and padded with the last
+    // frame if the footage is shorter than the narration. Every page but the
+    // last also holds its last frame for the silence between pages.
+    const cut = pageWindow(mark);
+    const startSec = (cut.startMs / 1000).toFixed(3);
+    const durationSec = (cut.durationMs / 1000).toFixed(3);
+    const segmentPath = join(sessionDir, `segment_${mark.clipNum}.mp4`);
+    const holdMs = cut.padMs + (i < marks.length - 1 ? gapMs : 0);
+    const padFilter = holdMs > 0 ? `,tpad=stop_mode=clone:stop_duration=${(holdMs / 1000).toFixed(3)}` : "";
+
+    console.error(`[narrator] Extracting segment ${mark.clipNum}: ${startSec}s for ${durationSec}s`);
+    if (cut.shiftMs > 0 || cut.padMs > 0) {
+      logDebug(`Segment ${mark.clipNum}: shifted ${cut.shiftMs}ms, padded ${cut.padMs}ms`);
+    }
 
-      execSync(
-        `ffmpeg -y -i "${videoPath}" -ss ${startSec} -t ${durationSec} -c:v libx264 -preset fast -crf 23 "${segmentPath}" 2>/dev/null`
-      );
+    // Lower third and watermark go on the pages, not the cards
+    const segment = pageSegmentGraph(`${fitFilter}${padFilter}`, branding, {
+      index: mark.clipNum,
+      title: pageData[i]?.title,
+      url: pageData[i]?.url,
+      durationSec: mark.durationMs / 1000,
+    }, { sessionDir, width, height });
+
+    await runCommand(
+      "ffmpeg",
+      [...FFMPEG_QUIET, "-y", "-ss", startSec, "-t", durationSec, "-i", videoPath, ...segment.inputs, "-filter_complex", segment.graph, "-map", "[v]", "-c:v", "libx264", "-preset", "fast", "-crf", "23", segmentPath],
+      signal,
+      { cwd: sessionDir }
+    );
+    pieces.push({ path: segmentPath, clipNum: mark.clipNum });
+  }
 
-      concatList += `file '${segmentPath}'\n`;
-    }
+  const outroPath = join(sessionDir, "card_outro.mp4");
+  const outroArgs = cardArgs(branding, "outro", cardContext, outroPath);
+  if (outroArgs) {
+    report("post", { message: "Rendering end card" });
+    await runCommand("ffmpeg", [...FFMPEG_QUIET, "-y", ...outroArgs], signal, { cwd: sessionDir });
+    pieces.push({ path: outroPath });
+  }
 
+  // Where each piece starts: a page's narration starts with its piece
+  let cumulativeOffsetMs = 0;
+  for (const piece of pieces) {
+    const duration = (await runCommand(
+      "ffprobe",
+      ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", piece.path],
+      signal
+    )).trim();
+    piece.startMs = cumulativeOffsetMs;
+    piece.durationMs = Math.round(parseFloat(duration) * 1000);
+    cumulativeOffsetMs += piece.durationMs;
+  }
+  const totalDurationMs = cumulativeOffsetMs;
+  const pagesEndMs = outroArgs ? pieces[pieces.length - 1].startMs : totalDurationMs;
+
+  // Join the pieces: straight cuts copy the streams, crossfades re-encode
+  const concatPath = join(sessionDir, "concat.mp4");
+  const fadeSec = crossfadeSeconds(branding);
+  if (fadeSec > 0 && pieces.length > 1) {
+    console.error(`[narrator] Joining segments with ${fadeSec}s crossfades...`);
+    report("post", { message: "Adding transitions" });
+    await runCommand(
+      "ffmpeg",
+      [
+        ...FFMPEG_QUIET, "-y",
+        ...pieces.flatMap(piece => ["-i", piece.path]),
+        "-filter_complex", crossfadeGraph(pieces.map(piece => piece.durationMs / 1000), fadeSec),
+        "-map", "[v]", "-c:v", "libx264", "-preset", "fast", "-crf", "23", concatPath,
+      ],
+      signal
+    );
+  } else {
+    // The concat demuxer's own quoting: ' becomes '\''
+    const concatList = pieces.map(piece => `file '${piece.path.replace(/'/g, "'\\''")}'\n`).join("");
     writeFileSync(concatListPath, concatList);
 
-    // Concatenate segments
     console.error(`[narrator] Concatenating segments...`);
-    const concatPath = join(sessionDir, "concat.mp4");
-    execSync(
-      `ffmpeg -y -f concat -safe 0 -i "${concatListPath}" -c copy "${concatPath}" 2>/dev/null`
+    await runCommand(
+      "ffmpeg",
+      [...FFMPEG_QUIET, "-y", "-f", "concat", "-safe", "0", "-i", concatListPath, "-c", "copy", concatPath],
+      signal
     );
+  }
 
-    // Build audio filter
-    console.error(`[narrator] Mixing audio...`);
-    let audioInputs = "";
-    let audioFilter = "";
-    let audioLabels = "";
-    let cumulativeOffsetMs = 0;
-
-    for (let i = 0; i < clips.length; i++) {
-      const clip = clips[i];
-      const inputNum = i + 1;
+  // Mix the narration (and music) under the video
+  console.error(`[narrator] Mixing audio...`);
+  for (const clip of clips) {
+    clip.timelineOffsetMs = pieces.find(piece => piece.clipNum === clip.clipNum).startMs;
+  }
+  const mix = audioMixGraph(
+    options.audio,
+    clips.map(clip => ({ clipPath: clip.clipPath, offsetMs: clip.timelineOffsetMs })),
+    totalDurationMs
+  );
+  if (options.audio?.music) logDebug(`Music: ${options.audio.music.path}`);
+
+  const outputPath = join(sessionDir, "output.mp4");
+  report("post", { message: "Mixing audio" });
+  await runCommand(
+    "ffmpeg",
+    [...FFMPEG_QUIET, "-y", "-i", concatPath, ...mix.inputs, "-filter_complex", mix.graph, "-map", "0:v", "-map", "[aout]", "-c:v", "copy", "-c:a", "aac", outputPath],
+    signal
+  );
 
-      audioInputs += ` -i "${clip.clipPath}"`;
-      audioFilter += `[${inputNum}]adelay=${cumulativeOffsetMs}|${cumulativeOffsetMs}[a${inputNum}];`;
-      audioLabels += `[a${inputNum}]`;
+  console.error(`[narrator] Output created: ${outputPath}`);
+
+  // === CAPTIONS ===
+  const sidecars = [];
+  let captions = null;
+  if (captionOptions.enabled !== false) {
+    const { vttPath, srtPath, cueCount } = writeCaptionFiles(clips, sessionDir);
+    logDebug(`Wrote ${cueCount} caption cues to ${vttPath} and ${srtPath}`);
+    captions = { vttPath, srtPath, burnedIn: false };
+
+    const language = captionOptions.language || options.language || "en";
+    const label = captionOptions.label || languageName(language);
+    sidecars.push(
+      { path: vttPath, kind: "captions", format: "vtt", language, label },
+      { path: srtPath, kind: "captions", format: "srt", language, label }
+    );
 
-      // Get actual segment duration for next offset
-      const segmentPath = join(sessionDir, `segment_${clip.clipNum}.mp4`);
-      const segDuration = execSync(
-        `ffprobe -v error -show_entries format=duration -of csv=p=0 "${segmentPath}" 2>/dev/null`
-      )
-        .toString()
-        .trim();
-      cumulativeOffsetMs += Math.round(parseFloat(segDuration) * 1000);
+    if (captionOptions.burnIn) {
+      // Run from the session dir so the subtitles filter gets a plain relative path
+      console.error(`[narrator] Burning in captions...`);
+      const captionedPath = join(sessionDir, "output_captioned.mp4");
+      report("post", { message: "Burning in captions" });
+      await runCommand(
+        "ffmpeg",
+        [...FFMPEG_QUIET, "-y", "-i", "output.mp4", "-vf", "subtitles=captions.srt:force_style='FontSize=22,Outline=2,MarginV=28'", "-c:a", "copy", "output_captioned.mp4"],
+        signal,
+        { cwd: sessionDir }
+      );
+      renameSync(captionedPath, outputPath);
+      captions.burnedIn = true;
     }
+  }
 
-    audioFilter += `${audioLabels}amix=inputs=${clips.length}:duration=longest[aout]`;
-
-    // Merge audio
-    const outputPath = join(sessionDir, "output.mp4");
-    execSync(
-      `ffmpeg -y -i "${concatPath}"${audioInputs} -filter_complex "${audioFilter}" -map 0:v -map "[aout]" -c:v copy -c:a aac "${outputPath}" 2>/dev/null`
+  // === CHAPTERS ===
+  let chapters = null;
+  if (chapterOptions.enabled !== false) {
+    // The last page's chapter ends where the end card starts
+    chapters = buildChapters(pageData, clips, pagesEndMs);
+    const level = chapterOptions.level || "page";
+    const { vttPath, ffmetadataPath } = writeChapterFiles(flattenChapters(chapters, level), sessionDir);
+    logDebug(`Wrote ${level} chapters to ${vttPath}`);
+    sidecars.push({ path: vttPath, kind: "chapters", format: "vtt" });
+
+    // Embed chapters in the MP4 container
+    const chapteredPath = join(sessionDir, "output_chapters.mp4");
+    await runCommand(
+      "ffmpeg",
+      [...FFMPEG_QUIET, "-y", "-i", outputPath, "-i", ffmetadataPath, "-map", "0", "-map_metadata", "1", "-map_chapters", "1", "-c", "copy", chapteredPath],
+      signal
     );
+    renameSync(chapteredPath, outputPath);
+  }
+
+  // Cleanup intermediate files
+  for (const path of [...pieces.map(piece => piece.path), concatPath, concatListPath]) {
+    try {
+      unlinkSync(path);
+    } catch (e) {}
+  }
 
-    console.error(`[narrator] Output created: ${outputPath}`);
+  return { outputPath, totalDurationMs, sidecars, captions, chapters };
+}
 
-    // Upload to Mux
-    console.error(`[narrator] Uploading to Mux...`);
-    const playbackUrl = await uploadToMux(outputPath);
-    console.error(`[narrator] Upload complete: ${playbackUrl}`);
+// Render researched pages: audio, performance pass, post-processing and upload.
+// Phases already complete in the session manifest are skipped, which is how
+// resume_recording and rerender_recording pick up part way through.
+async function renderRecording(session, pageData, options = {}) {
+  const { sessionId, sessionDir, manifest, logDebug, signal, report, checkCancelled, phases } = session;
+  const destinations = resolveDestinations(options.destination);
 
-    // Cleanup intermediate files
-    for (const mark of marks) {
-      try {
-        unlinkSync(join(sessionDir, `segment_${mark.clipNum}.mp4`));
-      } catch (e) {}
+  try {
+    if (!phases.isComplete("audio")) {
+      phases.start("audio");
+      const clips = await generateClips(session, pageData, options.voice, options.speakers, options.language);
+      phases.complete("audio", { clips });
     }
-    try {
-      unlinkSync(concatPath);
-      unlinkSync(concatListPath);
-    } catch (e) {}
 
-    return {
-      success: true,
-      playbackUrl,
+    if (!phases.isComplete("recording")) {
+      phases.start("recording");
+      const marks = await performRecording(session, pageData, manifest.clips, options);
+      phases.complete("recording", { marks });
+    }
+
+    if (!phases.isComplete("post")) {
+      phases.start("post");
+      const outputs = await postProcess(session, pageData, manifest.clips, manifest.marks, options);
+      // Clips now carry their offsets in the final video
+      phases.complete("post", { clips: manifest.clips, outputs });
+    }
+
+    const { outputPath, sidecars, captions, chapters } = manifest.outputs;
+
+    // === PUBLISH ===
+    checkCancelled();
+    phases.start("upload");
+    console.error(`[narrator] === PUBLISHING ===`);
+    report("upload", { message: `Publishing to ${destinations.map(d => d.type).join(", ")}` });
+
+    const publishContext = {
+      sessionId,
       sessionDir,
-      pagesRecorded: pages.length,
+      persona: options.persona,
+      title: pageData[0].title,
+      urls: pageData.map(p => p.url),
+      sidecars,
+      signal,
+      // A resumed upload only retries the destinations that failed
+      published: manifest.result?.published,
     };
+    const published = await publishRecording(outputPath, destinations, publishContext, logDebug);
+    checkCancelled();
+
+    const failed = published.filter(p => !p.success);
+    const mux = published.find(p => p.destination === "mux" && p.success);
+
+    const result = {
+      success: failed.length === 0,
+      ...(mux ? { playbackUrl: mux.playbackUrl } : {}),
+      outputPath,
+      sessionDir,
+      pagesRecorded: pageData.length,
+      ...(captions ? { captions } : {}),
+      ...(chapters ? { chapters } : {}),
+      cache: session.cache.stats,
+      published,
+      ...(failed.length > 0 ? { errors: failed.map(p => `${p.destination}: ${p.error}`) } : {}),
+    };
+
+    // A failed destination leaves the upload phase open for resume_recording
+    if (failed.length > 0) {
+      phases.fail(new Error(result.errors.join("; ")));
+      manifest.result = result;
+      session.save();
+    } else {
+      phases.complete("upload", { result });
+    }
+    return result;
   } catch (error) {
     console.error(`[narrator] Error: ${error.message}`);
-    // Try to clean up browser
-    try {
-      agentBrowser(`close`);
-    } catch (e) {}
+    phases.fail(error);
     throw error;
   }
 }
 
+// Run a recording once per language, one after another. A failed language is
+// reported and the others still run; cancelling stops them all.
+async function recordEachLanguage(options, record) {
+  const recordings = [];
+  for (const entry of options.languages) {
+    const { language } = languageEntry(entry);
+    console.error(`[narrator] === LANGUAGE: ${language} ===`);
+    try {
+      recordings.push({ language, ...(await record(localizedOptions(options, entry))) });
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error(`[narrator] ${language} failed: ${error.message}`);
+      recordings.push({ language, success: false, error: error.message });
+    }
+  }
+  return { success: recordings.every(recording => recording.success), recordings };
+}
+
+// Main recording function. With languages, one recording per language.
+async function createNarratedRecording(persona, pages, options = {}) {
+  validateLanguages(options);
+  if (options.languages) {
+    return recordEachLanguage(options, localized => createNarratedRecording(persona, pages, localized));
+  }
+  options = languageOptions(options);
+
+  // Fail on a bad destination, environment, auth, redaction, actions, speakers, vision, narrator, branding, audio or URL before spending anything
+  resolveDestinations(options.destination);
+  validateEnvironments(options.environment, pages);
+  validateAuth(options.auth);
+  validateRedaction(options.redact, pages);
+  validatePageActions(pages);
+  validateSpeakers(options.speakers, pages);
+  validateVision(options.vision);
+  validateNarrator(options.narrator);
+  validateBranding(options.branding);
+  validateAudioMix(options.audio);
+  await checkUrls(pages, options.auth);
+
+  const session = createSession(options, "recording", { persona, pages });
+  console.error(`[narrator] Persona: ${persona}`);
+  if (options.language) console.error(`[narrator] Language: ${options.language}`);
+  if (options.speakers) {
+    console.error(`[narrator] Speakers: ${options.speakers.map(speaker => speaker.name).join(", ")}`);
+  }
+  console.error(`[narrator] Pages: ${pages.length}`);
+
+  const pageData = await runResearchPass(persona, pages, session, options);
+  return renderRecording(session, pageData, { ...options, persona });
+}
+
+// === RECORDING SCRIPTS ===
+// A script is the reviewable output of the research pass. Humans can edit the
+// narration before render_recording_script spends TTS credits and recording time.
+
+const SCRIPT_VERSION = 1;
+
+// Rough spoken duration of some narration text
+function estimateSpeechSeconds(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.round((words / SPOKEN_WORDS_PER_SECOND) * 10) / 10;
+}
+
+// Research pages and return an editable script instead of recording
+async function draftRecordingScript(persona, pages, options = {}) {
+  validateLanguages(options);
+  if (options.languages) {
+    throw new Error("A script has one language: draft it with language, then render it with languages");
+  }
+  options = languageOptions(options);
+  validateEnvironments(options.environment, pages);
+  validateAuth(options.auth);
+  validateRedaction(options.redact, pages);
+  validatePageActions(pages);
+  validateSpeakers(options.speakers, pages);
+  validateVision(options.vision);
+  validateNarrator(options.narrator);
+  await checkUrls(pages, options.auth);
+
+  const session = createSession(options, "draft", { persona, pages });
+  console.error(`[narrator] Drafting script for ${pages.length} pages`);
+
+  const pageData = await runResearchPass(persona, pages, session, options);
+  // The render logs in again in its own session
+  discardAuthState(session);
+
+  const scriptPages = pageData.map(page => {
+    const segments = page.narrationData.segments.map(({ text, scrollTo, chapter, speaker }) => ({ text, scrollTo, chapter, speaker }));
+    return {
+      url: page.url,
+      title: page.title,
+      segments,
+      estimatedDurationSec: estimateSpeechSeconds(segments.map(s => s.text).join(" ")),
+      highlights: page.highlights,
+      highlightDefaults: page.highlightDefaults,
+      actions: page.actions,
+      environment: page.environment,
+      redact: page.redact,
+      voice: page.voice,
+      targets: page.targets,
+    };
+  });
+
+  const script = {
+    version: SCRIPT_VERSION,
+    persona,
+    language: options.language,
+    voice: resolveVoice(voiceForLanguage(options.voice, options.language)),
+    speakers: options.speakers?.map(speaker => ({
+      ...speaker,
+      voice: resolveVoice(voiceForLanguage(overrideVoice(options.voice, speaker.voice), options.language)),
+    })),
+    highlightDefaults: options.highlightDefaults,
+    environment: options.environment,
+    auth: options.auth,
+    redact: options.redact,
+    estimatedDurationSec: Math.round(scriptPages.reduce((sum, p) => sum + p.estimatedDurationSec, 0) * 10) / 10,
+    pages: scriptPages,
+  };
+
+  const scriptPath = join(session.sessionDir, "script.json");
+  writeFileSync(scriptPath, JSON.stringify(script, null, 2));
+  session.logDebug(`Script written to ${scriptPath}`);
+
+  return { success: true, sessionDir: session.sessionDir, scriptPath, script, cache: session.cache.stats };
+}
+
+// Check an (possibly hand-edited) script before spending anything on it
+function validateRecordingScript(script) {
+  if (!script || typeof script !== "object") {
+    throw new Error("Script must be an object");
+  }
+  if (script.version !== undefined && script.version !== SCRIPT_VERSION) {
+    throw new Error(`Unsupported script version ${script.version} (expected ${SCRIPT_VERSION})`);
+  }
+  if (!Array.isArray(script.pages) || script.pages.length === 0) {
+    throw new Error("Script must have at least one page");
+  }
+  validateSpeakers(script.speakers, script.pages);
+  script.pages.forEach((page, i) => {
+    if (typeof page.url !== "string" || !page.url) {
+      throw new Error(`Script page ${i + 1} is missing a url`);
+    }
+    if (!Array.isArray(page.segments) || page.segments.length === 0) {
+      throw new Error(`Script page ${i + 1} has no segments`);
+    }
+    page.segments.forEach((segment, j) => {
+      if (typeof segment.text !== "string" || !segment.text.trim()) {
+        throw new Error(`Script page ${i + 1} segment ${j + 1} has no text`);
+      }
+      if (typeof segment.scrollTo !== "string" || !segment.scrollTo) {
+        throw new Error(`Script page ${i + 1} segment ${j + 1} has no scrollTo`);
+      }
+      if (segment.chapter !== undefined && typeof segment.chapter !== "string") {
+        throw new Error(`Script page ${i + 1} segment ${j + 1} has a non-string chapter`);
+      }
+      if (script.speakers && !findSpeaker(script.speakers, segment.speaker)) {
+        throw new Error(`Script page ${i + 1} segment ${j + 1} needs a speaker (one of: ${script.speakers.map(s => s.name).join(", ")})`);
+      }
+    });
+  });
+}
+
+// Render a drafted (and possibly edited) script. With a language other than
+// the script's, its narration is translated first; with languages, it's
+// rendered once per language.
+async function renderRecordingScript(script, options = {}) {
+  validateRecordingScript(script);
+  validateLanguages(options);
+  if (options.languages) {
+    return recordEachLanguage(options, localized => renderRecordingScript(script, localized));
+  }
+  const language = options.language || script.language;
+  const sourceLanguage = script.language || options.narrationLanguage;
+  if (language && !sourceLanguage) {
+    throw new Error("The script has no language to translate from: set script.language to the language its narration is written in");
+  }
+  const translateFrom = language && !sameLanguage(sourceLanguage, language) ? sourceLanguage : null;
+  resolveDestinations(options.destination);
+  validateEnvironments(script.environment, script.pages);
+  validateAuth(script.auth);
+  validateRedaction(script.redact, script.pages);
+  validatePageActions(script.pages);
+  validateNarrator(options.narrator);
+  validateBranding(options.branding);
+  validateAudioMix(options.audio);
+  await checkUrls(script.pages, script.auth);
+
+  // A translated script is shown in its language's locale and spoken in its voice
+  const renderOptions = {
+    ...options,
+    persona: script.persona,
+    language,
+    highlightDefaults: script.highlightDefaults,
+    environment: translateFrom ? { ...script.environment, locale: options.environment?.locale || language } : script.environment,
+    auth: script.auth,
+    redact: script.redact,
+    voice: overrideVoice(script.voice, options.voice),
+    speakers: script.speakers,
+  };
+  const pageData = script.pages.map(page => ({
+    url: page.url,
+    title: page.title || "",
+    narrationData: {
+      segments: page.segments.map(({ text, scrollTo, chapter, speaker }) => ({
+        text,
+        scrollTo,
+        chapter,
+        ...(script.speakers ? { speaker: findSpeaker(script.speakers, speaker).name } : {}),
+      })),
+    },
+    highlights: page.highlights,
+    highlightDefaults: page.highlightDefaults,
+    actions: page.actions,
+    environment: page.environment,
+    redact: page.redact,
+    voice: page.voice,
+    targets: page.targets,
+  }));
+  // Translated before the session starts, like a validation step: a failed
+  // translation leaves nothing to resume
+  if (translateFrom) {
+    const cache = createCache(options.cache);
+    for (const page of pageData) {
+      if (options.signal?.aborted) throw new Error("Recording cancelled");
+      options.onProgress?.({ phase: "research", message: `Translating ${page.url} to ${language}` });
+      console.error(`[narrator] Translating ${page.url} from ${translateFrom} to ${language}...`);
+      Object.assign(page, await translatePage(page, translateFrom, language, script.persona, cache, {
+        narrator: options.narrator,
+        signal: options.signal,
+        logDebug: message => console.error(`[narrator] ${message}`),
+      }));
+    }
+  }
+
+  // The session keeps the script as rendered, so a translation can be reviewed and edited
+  const rendered = !translateFrom ? script : {
+    ...script,
+    language,
+    pages: script.pages.map((page, i) => ({
+      ...page,
+      segments: pageData[i].narrationData.segments,
+      highlights: pageData[i].highlights,
+      actions: pageData[i].actions,
+    })),
+  };
+  const session = createSession(renderOptions, "script", { persona: script.persona });
+  writeFileSync(join(session.sessionDir, "script.json"), JSON.stringify(rendered, null, 2));
+  console.error(`[narrator] Rendering script with ${script.pages.length} pages`);
+
+  // The script stands in for the research pass
+  session.phases.complete("research", { pageData });
+
+  return renderRecording(session, pageData, renderOptions);
+}
+
+// === RESUME AND RE-RENDER ===
+// Both work from a session's manifest.json. Resume continues the same session
+// from its first unfinished phase; re-render starts a new session that reuses
+// the old one's narration (and audio, and video) and redoes the rest.
+
+const RERENDER_PHASES = ["audio", "recording", "post"];
+
+// Pick a session back up where it stopped
+async function resumeRecording(sessionRef, options = {}) {
+  const sessionDir = resolveSessionDir(sessionRef);
+  const session = openSession(sessionDir, options);
+  const { manifest } = session;
+
+  if (manifest.kind === "draft") {
+    throw new Error("This session is a drafted script: render it with render_recording_script");
+  }
+
+  const phase = firstIncompletePhase(manifest);
+  if (!phase) {
+    return { ...manifest.result, alreadyComplete: true };
+  }
+  validateAuth(manifest.options.auth);
+  validateNarrator(manifest.options.narrator);
+  validateBranding(manifest.options.branding);
+  validateAudioMix(manifest.options.audio);
+  await checkUrls(manifest.pages, manifest.options.auth);
+  session.logDebug(`Resuming session at the ${phase} phase`);
+
+  const pageData = phase === "research"
+    ? await runResearchPass(manifest.persona, manifest.pages, session, manifest.options)
+    : manifest.pageData;
+
+  const result = await renderRecording(session, pageData, { ...manifest.options, persona: manifest.persona });
+  return { ...result, resumedFrom: phase };
+}
+
+// Render an existing session again in a new session directory, starting at
+// `from` ("audio", "recording" or "post") and reusing everything before it.
+// Option overrides (voice, captions, destination, ...) replace the originals.
+async function rerenderRecording(sessionRef, from = "recording", overrides = {}) {
+  const sourceDir = resolveSessionDir(sessionRef);
+  const source = loadManifest(sourceDir);
+
+  if (!RERENDER_PHASES.includes(from)) {
+    throw new Error(`Cannot re-render from "${from}" (expected one of: ${RERENDER_PHASES.join(", ")})`);
+  }
+  if (!isPhaseComplete(source, "research")) {
+    throw new Error("The session has no finished narration to reuse: use resume_recording instead");
+  }
+  if (overrides.voice && from !== "audio") {
+    throw new Error('Changing the voice regenerates the audio: re-render from "audio"');
+  }
+  if ((overrides.environment || overrides.redact) && from === "post") {
+    throw new Error('Changing the environment or redaction re-records the pages: re-render from "recording"');
+  }
+  // Each language of a multi-language recording has its own session
+  if (overrides.languages !== undefined || overrides.language !== undefined) {
+    throw new Error(`A session is in one language${source.options?.language ? ` (${source.options.language})` : ""}: re-render each language's session on its own`);
+  }
+  const reuseAudio = from !== "audio";
+  const reuseVideo = from === "post";
+  if (reuseAudio && !isPhaseComplete(source, "audio")) {
+    throw new Error('The session has no finished audio to reuse: re-render from "audio"');
+  }
+  if (reuseVideo && !isPhaseComplete(source, "recording")) {
+    throw new Error('The session has no finished recording to reuse: re-render from "recording"');
+  }
+
+  const { signal, onProgress, ...changes } = overrides;
+  const renderOptions = { ...source.options };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== undefined) renderOptions[key] = value;
+  }
+  resolveDestinations(renderOptions.destination);
+  validateEnvironments(renderOptions.environment, source.pageData);
+  validateAuth(renderOptions.auth);
+  validateRedaction(renderOptions.redact, source.pageData);
+  validateBranding(renderOptions.branding);
+  validateAudioMix(renderOptions.audio);
+  if (!reuseVideo) await checkUrls(source.pageData, renderOptions.auth);
+
+  const session = createSession({ ...renderOptions, signal, onProgress }, "rerender", {
+    persona: source.persona,
+    pages: source.pages,
+    rerenderOf: sourceDir,
+    rerenderFrom: from,
+  });
+  const { sessionDir, logDebug, phases } = session;
+  logDebug(`Re-rendering ${sourceDir} from the ${from} phase`);
+
+  const pageData = source.pageData;
+  phases.complete("research", { pageData });
+
+  if (reuseAudio) {
+    const clips = source.clips.map(({ timelineOffsetMs, ...clip }) => {
+      const clipPath = join(sessionDir, basename(clip.clipPath));
+      copyFileSync(clip.clipPath, clipPath);
+      return { ...clip, clipPath };
+    });
+    phases.complete("audio", { clips });
+  }
+
+  if (reuseVideo) {
+    copyFileSync(join(sourceDir, "recording.webm"), join(sessionDir, "recording.webm"));
+    copyFileSync(join(sourceDir, "marks.txt"), join(sessionDir, "marks.txt"));
+    phases.complete("recording", { marks: source.marks });
+  }
+
+  const result = await renderRecording(session, pageData, { ...renderOptions, persona: source.persona });
+  return { ...result, rerenderOf: sourceDir, rerenderFrom: from };
+}
+
 // Create MCP server
 const server = new Server(
   {
@@ -637,6 +2092,507 @@ const server = new Server(
   }
 );
 
+// A single publish destination: a name, or an object with per-call settings
+const DESTINATION_SCHEMA = {
+  anyOf: [
+    { type: "string", enum: PUBLISH_DESTINATIONS },
+    {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: PUBLISH_DESTINATIONS },
+        bucket: { type: "string", description: "s3: bucket (default: S3_BUCKET)" },
+        prefix: { type: "string", description: "s3: key prefix (default: S3_PREFIX or 'agent-recordings/')" },
+        endpoint: { type: "string", description: "s3: endpoint URL, e.g. a MinIO server (default: S3_ENDPOINT or AWS)" },
+        region: { type: "string", description: "s3: region (default: S3_REGION or us-east-1)" },
+        expiresIn: { type: "number", description: "s3: presigned URL lifetime in seconds (max 7 days)" },
+        playbackPolicy: { type: "string", enum: ["public", "signed"], description: "mux: playback policy (default: MUX_PLAYBACK_POLICY or public)" },
+        videoQuality: { type: "string", enum: ["basic", "plus", "premium"], description: "mux: video quality (default: MUX_VIDEO_QUALITY or basic)" },
+        chunkSizeMb: { type: "number", description: "mux: upload chunk size in MB (default: MUX_CHUNK_SIZE_MB or 32)" },
+        timeoutSec: { type: "number", description: "mux: how long to wait for the asset to be ready (default: MUX_READY_TIMEOUT or 900)" },
+        captionsUrl: { type: "string", description: "mux: public URL of the captions .vtt to attach as a text track, when not also publishing to s3" }
+      },
+      required: ["type"]
+    },
+  ],
+};
+
+// Runs a recording tool as a background job
+const ASYNC_PROPERTY = {
+  type: "boolean",
+  description: "Return a jobId immediately and run in the background. Track it with get_recording_status and stop it with cancel_recording (default: false)",
+};
+
+// Browser settings for a page; the recording-level version adds timezone
+const PAGE_ENVIRONMENT_PROPERTIES = {
+  device: {
+    type: "string",
+    enum: Object.keys(DEVICE_PRESETS),
+    description: "Device to emulate, with its user agent, touch support, pixel ratio and viewport (default: desktop, 1280x720)"
+  },
+  viewport: {
+    type: "object",
+    description: "Viewport size in CSS pixels, overriding the device's",
+    properties: {
+      width: { type: "integer" },
+      height: { type: "integer" }
+    },
+    required: ["width", "height"]
+  },
+  colorScheme: { type: "string", enum: COLOR_SCHEMES, description: "prefers-color-scheme to emulate (default: light)" },
+  reducedMotion: { type: "boolean", description: "Emulate prefers-reduced-motion: reduce (default: false)" },
+  locale: { type: "string", description: "BCP 47 locale for the browser and the Accept-Language header, e.g. 'de-DE'" },
+};
+
+const ENVIRONMENT_SCHEMA = {
+  type: "object",
+  description: "Browser environment for both passes. Pages can override everything but the timezone. The output video takes the viewport's size",
+  properties: {
+    ...PAGE_ENVIRONMENT_PROPERTIES,
+    timezone: { type: "string", description: "IANA timezone, e.g. 'America/New_York'. Set when the browser starts, so it applies to the whole recording" },
+  },
+};
+
+// One scripted interaction: a page action or an auth.login step
+const PAGE_ACTION_SCHEMA = {
+  type: "object",
+  properties: {
+    action: {
+      type: "string",
+      enum: PAGE_ACTIONS,
+      description: "What to do. fill replaces a field's value, type sends keystrokes, press sends a key (e.g. 'Enter'), wait pauses for a selector, a load state or a fixed time"
+    },
+    onText: {
+      type: "string",
+      description: "The phrase in the narration that triggers this action. If omitted, runs right after the previous action"
+    },
+    ref: {
+      type: "string",
+      description: "Snapshot ref of the target element (e.g. 'e12')"
+    },
+    selector: {
+      type: "string",
+      description: "CSS selector of the target element"
+    },
+    value: {
+      type: "string",
+      description: "Text for fill/type, option value for select"
+    },
+    key: {
+      type: "string",
+      description: "Key for press (e.g. 'Enter', 'Tab', 'Control+a')"
+    },
+    load: {
+      type: "string",
+      enum: LOAD_STATES,
+      description: "Load state for wait"
+    },
+    ms: {
+      type: "number",
+      description: "Milliseconds for wait when no selector or load state is given (default: 1000)"
+    },
+    timeout: {
+      type: "number",
+      description: "Maximum seconds a wait may take (default: 30)"
+    },
+    research: {
+      type: "boolean",
+      description: "Page actions: false to skip this action in the research pass, for anything that shouldn't happen twice, like submitting a form (default: true)"
+    }
+  },
+  required: ["action"]
+};
+
+// Logging in for pages behind authentication
+const AUTH_SCHEMA = {
+  type: "object",
+  description: "Authentication, set up before the research pass and reused for the recording. Write secrets as ${env:NAME} so they are read from the environment and never appear in prompts, logs or results",
+  properties: {
+    storageState: { type: "string", description: "Path to a saved browser storage state (cookies and localStorage) to start from" },
+    cookies: {
+      type: "array",
+      description: "Cookies to set before recording",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          value: { type: "string", description: "Cookie value, e.g. '${env:SESSION_COOKIE}'" },
+          url: { type: "string", description: "Page the cookie belongs to (default: the first page)" }
+        },
+        required: ["name", "value"]
+      }
+    },
+    headers: {
+      type: "object",
+      description: "Extra HTTP headers for every request, e.g. { \"Authorization\": \"Bearer ${env:API_TOKEN}\" }",
+      additionalProperties: { type: "string" }
+    },
+    httpCredentials: {
+      type: "object",
+      description: "HTTP basic auth",
+      properties: {
+        username: { type: "string" },
+        password: { type: "string", description: "e.g. '${env:BASIC_AUTH_PASSWORD}'" }
+      },
+      required: ["username", "password"]
+    },
+    login: {
+      type: "object",
+      description: "A login form to fill in before the first page. It runs off camera and the resulting session is reused for the recording",
+      properties: {
+        url: { type: "string", description: "The login page" },
+        steps: {
+          type: "array",
+          description: "Actions to log in, e.g. fill the email and password ('${env:DEMO_PASSWORD}') and click submit. onText is ignored",
+          items: PAGE_ACTION_SCHEMA
+        },
+        successSelector: { type: "string", description: "CSS selector that appears once logged in; the recording stops if it doesn't" }
+      },
+      required: ["url", "steps"]
+    }
+  }
+};
+
+// Privacy redaction, for the whole recording or one page
+const REDACT_SCHEMA = {
+  type: "object",
+  description: "Hide private data: matching regions are blurred or blacked out while recording, and their text is stripped from the page snapshot before it is sent to Claude. Page-level selectors add to the recording's",
+  properties: {
+    selectors: {
+      type: "array",
+      items: { type: "string" },
+      description: "CSS selectors of elements to hide, e.g. ['.customer-name', '#billing-address']"
+    },
+    detect: {
+      type: "array",
+      items: { type: "string", enum: Object.keys(DETECTORS) },
+      description: "Built-in detectors for text anywhere on the page: email addresses, phone numbers and API-key-like tokens"
+    },
+    style: {
+      type: "string",
+      enum: REDACTION_STYLES,
+      description: "How hidden regions look in the video (default: blur)"
+    }
+  }
+};
+
+const BRANDING_CARD_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", description: "Large title (title card default: the first page's title; end card default: 'Thanks for watching')" },
+    subtitle: { type: "string", description: "Smaller line under the title" },
+    persona: { type: "boolean", description: "Show the persona (default: false)" },
+    date: {
+      anyOf: [{ type: "boolean" }, { type: "string" }],
+      description: "true shows today's date, a string is shown as given"
+    },
+    logo: { type: "string", description: "Path to a logo image shown above the text" },
+    durationSec: { type: "number", description: "How long the card is shown, 1 to 15 (default: 3)" }
+  }
+};
+
+const BRANDING_SCHEMA = {
+  type: "object",
+  description: "Branding added in post-production: title and end cards, a corner watermark, lower thirds naming each page, and crossfades between pages",
+  properties: {
+    intro: { ...BRANDING_CARD_SCHEMA, description: "Title card before the first page" },
+    outro: { ...BRANDING_CARD_SCHEMA, description: "End card after the last page" },
+    watermark: {
+      type: "object",
+      description: "Shown in a corner of every page (not the cards)",
+      properties: {
+        image: { type: "string", description: "Path to a logo image (PNG with transparency works best)" },
+        text: { type: "string", description: "Text to show instead of an image" },
+        position: { type: "string", enum: WATERMARK_POSITIONS, description: "Corner (default: bottom-right)" },
+        opacity: { type: "number", description: "0 to 1 (default: 0.7)" },
+        width: { type: "number", description: "Image width in pixels (default: a tenth of the video width)" }
+      }
+    },
+    lowerThirds: {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: {
+            show: { type: "string", enum: LOWER_THIRD_SOURCES, description: "The page title (default) or its URL" },
+            durationSec: { type: "number", description: "How long it stays at the start of each page (default: 4)" }
+          }
+        }
+      ],
+      description: "Caption in the lower left naming each page as it starts"
+    },
+    crossfadeSec: { type: "number", description: "Crossfade between pages and cards in seconds, 0 to 2 (default: 0, straight cuts)" },
+    backgroundColor: { type: "string", description: "Card background, e.g. '#0b0f19'" },
+    textColor: { type: "string", description: "Card text color (default: white)" },
+    font: { type: "string", description: "Path to a .ttf or .otf font for all text (default: the system sans-serif)" }
+  }
+};
+
+const AUDIO_MIX_SCHEMA = {
+  type: "object",
+  description: "The audio mix: background music that ducks under the narration, loudness normalization and silence between pages",
+  properties: {
+    music: {
+      type: "object",
+      description: "Background music, looped for the whole video and faded in and out",
+      properties: {
+        path: { type: "string", description: "Path to a local audio file (MP3, WAV, M4A, ...)" },
+        volume: { type: "number", description: "Music level, above 0 to 1 (default: 0.2)" },
+        duck: { type: "boolean", description: "Lower the music while the narration plays (default: true)" }
+      },
+      required: ["path"]
+    },
+    normalize: { type: "boolean", description: "Normalize the final mix to targetLufs with EBU R128 loudness normalization (default: false)" },
+    targetLufs: { type: "number", description: "Integrated loudness target, -40 to -5 (default: -16; -23 for broadcast, -14 for some streaming sites)" },
+    pagePaddingSec: { type: "number", description: "Silence between pages in seconds, 0 to 10, holding the page's last frame (default: 0)" }
+  }
+};
+
+const VOICE_SCHEMA = {
+  type: "object",
+  description: "Text-to-speech voice. Defaults come from TTS_PROVIDER and the provider's env vars",
+  properties: {
+    provider: {
+      type: "string",
+      enum: TTS_PROVIDERS,
+      description: "elevenlabs (default), openai (any OpenAI-compatible speech endpoint) or local (offline piper/espeak-ng)"
+    },
+    voiceId: {
+      type: "string",
+      description: "Voice: an ElevenLabs voice ID, an OpenAI voice name (e.g. 'alloy'), an espeak-ng voice (e.g. 'en-us') or a piper .onnx model path"
+    },
+    modelId: {
+      type: "string",
+      description: "Model: an ElevenLabs model ID, an OpenAI speech model, or 'piper'/'espeak-ng' for local"
+    }
+  }
+};
+
+// One recording per language, for create_narrated_recording and render_recording_script
+const LANGUAGES_PROPERTY = {
+  type: "array",
+  description: "Record once per language, one video (and session) each, run one after another. Each language is narrated in that language (custom narration and scripts are translated), spoken by its voice and shown in its browser locale. The result lists each language's recording; one failing doesn't stop the rest",
+  items: {
+    anyOf: [
+      { type: "string", description: "A BCP 47 language code, e.g. 'de'" },
+      {
+        type: "object",
+        properties: {
+          language: { type: "string", description: "A BCP 47 language code" },
+          voice: { ...VOICE_SCHEMA, description: "Voice for this language, over the recording's voice" },
+          locale: { type: "string", description: "Browser locale (default: the language)" }
+        },
+        required: ["language"]
+      }
+    ]
+  }
+};
+
+// Identifies an existing session for resume_recording and rerender_recording
+const SESSION_PROPERTY = {
+  type: "string",
+  description: "The session directory (sessionDir from a result or get_recording_status), or its session id",
+};
+
+// Model and prompt settings for writing (and translating) narration
+const NARRATOR_SCHEMA = {
+  type: "object",
+  description: "How narration is written: the model, the prompt and its constraints. The endpoint and API key come from NARRATION_BASE_URL and NARRATION_API_KEY (default: Claude via ANTHROPIC_API_KEY)",
+  properties: {
+    provider: { type: "string", enum: LLM_PROVIDERS, description: "'anthropic' (Messages API) or 'openai' (any OpenAI-compatible chat completions server, including local ones). Default: NARRATION_PROVIDER, else anthropic" },
+    model: { type: "string", description: "Model name (default: NARRATION_MODEL, else claude-sonnet-4-5-20250929 or gpt-4o-mini)" },
+    promptTemplate: { type: "string", description: "Prompt template replacing the built-in one, with placeholders {{voices}}, {{persona}}, {{url}}, {{snapshot}}, {{refs}}, {{guidelines}}, {{audience}}, {{tone}}, {{goal}}, {{language}} and {{wordBudget}} (default: the file NARRATION_PROMPT_TEMPLATE names, else the built-in prompt)" },
+    targetDurationSec: { type: "number", description: "About how long each page's narration should take to speak, in seconds" },
+    wordBudget: { type: "number", description: "About how many words each page's narration should have (instead of targetDurationSec)" },
+    minSegments: { type: "number", description: "Fewest narration segments per page, 1 to 20 (default: 3, or 4 with speakers). Replies outside the bounds are retried" },
+    maxSegments: { type: "number", description: "Most narration segments per page, 1 to 20 (default: 5, or 8 with speakers)" },
+    audience: { type: "string", description: "Who the recording is for, e.g. 'developers evaluating the API'" },
+    tone: { type: "string", description: "Tone on top of the persona, e.g. 'upbeat but not salesy'" },
+    goal: { type: "string", description: "What viewers should take away, e.g. 'sign up for the free trial'" },
+    maxTokens: { type: "number", description: "Most tokens per narration reply, 256 to 16000 (default: 800, more for large word budgets)" },
+    maxRetries: { type: "number", description: "Retries on rate limits, server errors and invalid replies, with exponential backoff, 0 to 10 (default: NARRATION_MAX_RETRIES, else 3)" }
+  }
+};
+
+// Recording inputs shared by create_narrated_recording and draft_recording_script
+const RECORDING_INPUT_PROPERTIES = {
+  persona: {
+    type: "string",
+    description:
+      'The persona/character for the narration style. Can be anything: "sarcastic tech reviewer", "Gordon Ramsay reviewing websites", "a confused grandparent", "overenthusiastic salesperson", etc. With speakers, the overall style of their conversation.',
+  },
+  destination: {
+    description: "Where to publish output.mp4: 'local' (just the file path), 's3' (any S3-compatible storage, returns a presigned URL) or 'mux'. Pass an array to publish to several. An object like { type: 's3', bucket, prefix } overrides env settings. Defaults to PUBLISH_DESTINATION, else 'mux' when Mux credentials are set, else 'local'",
+    anyOf: [
+      DESTINATION_SCHEMA,
+      { type: "array", items: DESTINATION_SCHEMA },
+    ],
+  },
+  captions: {
+    type: "object",
+    description: "Captions built from the speech timing. WebVTT and SRT files are always written to the session directory unless disabled",
+    properties: {
+      enabled: { type: "boolean", description: "Write caption files (default: true)" },
+      burnIn: { type: "boolean", description: "Also burn the captions into output.mp4 (default: false)" },
+      language: { type: "string", description: "BCP 47 language code for the caption track (default: en)" },
+      label: { type: "string", description: "Caption track name shown in players (default: English)" }
+    }
+  },
+  chapters: {
+    type: "object",
+    description: "Chapter markers: written to chapters.vtt, embedded in output.mp4 and returned in the result",
+    properties: {
+      enabled: { type: "boolean", description: "Generate chapters (default: true)" },
+      level: { type: "string", enum: ["page", "segment"], description: "One chapter per page (default) or per narration segment in the file and MP4. The result always lists both" }
+    }
+  },
+  environment: ENVIRONMENT_SCHEMA,
+  auth: AUTH_SCHEMA,
+  redact: REDACT_SCHEMA,
+  branding: BRANDING_SCHEMA,
+  audio: AUDIO_MIX_SCHEMA,
+  cache: {
+    type: "string",
+    enum: CACHE_MODES,
+    description: "Narration and speech cache: 'use' reuses results for unchanged inputs (default), 'refresh' regenerates everything and updates the cache, 'off' neither reads nor writes it. The result reports hits and misses",
+  },
+  voice: VOICE_SCHEMA,
+  language: {
+    type: "string",
+    description: "Narration language as a BCP 47 code, e.g. 'de' or 'pt-BR' (default: English). Narration is written in it, custom narration is translated into it from narrationLanguage, and the browser locale follows it unless the environment sets one",
+  },
+  narrationLanguage: {
+    type: "string",
+    description: "The language custom narration (and its highlight and action phrases) is written in (default: language, or the first of languages)",
+  },
+  vision: {
+    description: "Screenshot-grounded narration: the research pass photographs each page (a scaled-down view of the whole page and viewport-sized sections) and sends the images to Claude with the accessibility snapshot, so the narration can describe layout, imagery, colors and charts and can scroll to a region by its y coordinate. true, or an object to bound the images per page (default: off)",
+    anyOf: [
+      { type: "boolean" },
+      {
+        type: "object",
+        properties: {
+          maxImages: { type: "number", description: "Most screenshots sent per page, 1 to 10, the whole-page view included (default: 4)" },
+          fullPage: { type: "boolean", description: "Include a scaled-down view of the whole page for long pages (default: true)" }
+        }
+      }
+    ]
+  },
+  narrator: NARRATOR_SCHEMA,
+  speakers: {
+    type: "array",
+    description: "Dialogue mode: 2 to 4 named speakers who talk the pages through together (e.g. a skeptical buyer and a sales engineer). Each narration segment is spoken by one of them in their own voice. The persona then sets the overall style",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Speaker name, e.g. 'Sam'. Custom narration hands over with 'Sam: ...'" },
+        persona: { type: "string", description: "Who this speaker is and how they talk" },
+        voice: { ...VOICE_SCHEMA, description: "This speaker's voice, over the recording's voice" }
+      },
+      required: ["name", "persona"]
+    }
+  },
+  highlightDefaults: {
+    type: "object",
+    description: "Default settings for all highlights (can be overridden per-highlight)",
+    properties: {
+      style: {
+        type: "string",
+        enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"],
+        description: "Default highlight style"
+      },
+      linger: {
+        type: "number",
+        description: "Default linger time in seconds after phrase ends (default: 1.0)"
+      }
+    }
+  },
+  pages: {
+    type: "array",
+    description: "Array of pages to visit and narrate",
+    items: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "The URL to visit",
+        },
+        narration: {
+          type: "string",
+          description: "Custom narration, spoken verbatim instead of generating it. Optional inline cues set where to scroll from that sentence on: [scroll: top], [scroll: bottom], [scroll: 40%], [scroll: 1450px] (page y coordinate), [scroll: e13] (snapshot ref) or [scroll: #pricing] (CSS selector). Without cues the page scrolls evenly top to bottom. With speakers, start a sentence with 'Name:' to hand over to that speaker.",
+        },
+        voice: { ...VOICE_SCHEMA, description: "Voice for this page's narration, over the recording's voice (not with speakers)" },
+        redact: REDACT_SCHEMA,
+        environment: {
+          type: "object",
+          description: "Browser settings for this page, overriding the recording's environment. Pages with a different viewport are letterboxed into the output size",
+          properties: PAGE_ENVIRONMENT_PROPERTIES
+        },
+        highlightDefaults: {
+          type: "object",
+          description: "Default highlight settings for this page (overrides global defaults)",
+          properties: {
+            style: { type: "string", enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"] },
+            linger: { type: "number" }
+          }
+        },
+        highlights: {
+          type: "array",
+          description: "Array of elements or regions to highlight, synced to narration timing",
+          items: {
+            type: "object",
+            properties: {
+              onText: {
+                type: "string",
+                description: "The phrase in the narration that triggers this highlight (used for timing)"
+              },
+              selector: {
+                type: "string",
+                description: "CSS selector for element-based highlights"
+              },
+              x: {
+                type: "number",
+                description: "X coordinate for coordinate-based highlights (circle, rectangle)"
+              },
+              y: {
+                type: "number",
+                description: "Y coordinate for coordinate-based highlights"
+              },
+              radius: {
+                type: "number",
+                description: "Radius for circle highlights (default: 50)"
+              },
+              width: {
+                type: "number",
+                description: "Width for rectangle highlights (default: 100)"
+              },
+              height: {
+                type: "number",
+                description: "Height for rectangle highlights (default: 60)"
+              },
+              style: {
+                type: "string",
+                enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"],
+                description: "Highlight style. Element-based: border, pulse, arrow, zoom. Coordinate-based: circle, rectangle"
+              },
+              linger: {
+                type: "number",
+                description: "How long to keep highlight visible after phrase ends (seconds)"
+              }
+            },
+            required: ["onText"]
+          }
+        },
+        actions: {
+          type: "array",
+          description: "Ordered interactions to perform on the page. They run twice: before the research snapshot (so narration sees the result) and again during recording, each when its onText phrase is spoken. Set research: false on an action that must only happen once, such as a submit.",
+          items: PAGE_ACTION_SCHEMA
+        }
+      },
+      required: ["url"],
+    },
+  },
+};
+
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
@@ -644,103 +2600,185 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "create_narrated_recording",
         description:
-          "Create a narrated screen recording of web pages. Uses a two-pass approach: first visits each page to analyze content and generate contextual narration using Claude, then records with smooth scrolling timed to the narration. Uploads final video to Mux and returns a playback URL.",
+          "Create a narrated screen recording of web pages. Uses a two-pass approach: first visits each page to analyze content and generate contextual narration using Claude, then records with smooth scrolling timed to the narration. Publishes the final video to Mux, S3-compatible storage and/or keeps it local, and returns the URLs.",
         inputSchema: {
           type: "object",
           properties: {
-            persona: {
-              type: "string",
-              description:
-                'The persona/character for the narration style. Can be anything: "sarcastic tech reviewer", "Gordon Ramsay reviewing websites", "a confused grandparent", "overenthusiastic salesperson", etc.',
-            },
-            highlightDefaults: {
+            ...RECORDING_INPUT_PROPERTIES,
+            languages: LANGUAGES_PROPERTY,
+            async: ASYNC_PROPERTY,
+          },
+          required: ["persona", "pages"],
+        },
+      },
+      {
+        name: "draft_recording_script",
+        description:
+          "Run only the research pass of create_narrated_recording: visit each page and write the narration, without generating audio or recording. Returns an editable JSON script (pages, narration segments with scroll targets, voice, estimated duration) to review before calling render_recording_script.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...RECORDING_INPUT_PROPERTIES,
+            async: ASYNC_PROPERTY,
+          },
+          required: ["persona", "pages"],
+        },
+      },
+      {
+        name: "render_recording_script",
+        description:
+          "Render a script from draft_recording_script (edited or not): generate audio, record the pages timed to the narration, post-process and upload. Returns the same result as create_narrated_recording.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            script: {
               type: "object",
-              description: "Default settings for all highlights (can be overridden per-highlight)",
+              description: "The script returned by draft_recording_script. Segment text and scrollTo targets, voice and highlights can be edited; scrollTo accepts the same targets as narration cues",
               properties: {
-                style: {
-                  type: "string",
-                  enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"],
-                  description: "Default highlight style"
-                },
-                linger: {
-                  type: "number",
-                  description: "Default linger time in seconds after phrase ends (default: 1.0)"
-                }
-              }
-            },
-            pages: {
-              type: "array",
-              description: "Array of pages to visit and narrate",
-              items: {
-                type: "object",
-                properties: {
-                  url: {
-                    type: "string",
-                    description: "The URL to visit",
-                  },
-                  highlightDefaults: {
+                version: { type: "number" },
+                persona: { type: "string" },
+                language: { type: "string", description: "The language the script's narration is written in" },
+                voice: RECORDING_INPUT_PROPERTIES.voice,
+                speakers: RECORDING_INPUT_PROPERTIES.speakers,
+                highlightDefaults: RECORDING_INPUT_PROPERTIES.highlightDefaults,
+                environment: RECORDING_INPUT_PROPERTIES.environment,
+                auth: RECORDING_INPUT_PROPERTIES.auth,
+                redact: RECORDING_INPUT_PROPERTIES.redact,
+                pages: {
+                  type: "array",
+                  items: {
                     type: "object",
-                    description: "Default highlight settings for this page (overrides global defaults)",
                     properties: {
-                      style: { type: "string", enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"] },
-                      linger: { type: "number" }
-                    }
-                  },
-                  highlights: {
-                    type: "array",
-                    description: "Array of elements or regions to highlight, synced to narration timing",
-                    items: {
-                      type: "object",
-                      properties: {
-                        onText: {
-                          type: "string",
-                          description: "The phrase in the narration that triggers this highlight (used for timing)"
-                        },
-                        selector: {
-                          type: "string",
-                          description: "CSS selector for element-based highlights"
-                        },
-                        x: {
-                          type: "number",
-                          description: "X coordinate for coordinate-based highlights (circle, rectangle)"
-                        },
-                        y: {
-                          type: "number",
-                          description: "Y coordinate for coordinate-based highlights"
-                        },
-                        radius: {
-                          type: "number",
-                          description: "Radius for circle highlights (default: 50)"
-                        },
-                        width: {
-                          type: "number",
-                          description: "Width for rectangle highlights (default: 100)"
-                        },
-                        height: {
-                          type: "number",
-                          description: "Height for rectangle highlights (default: 60)"
-                        },
-                        style: {
-                          type: "string",
-                          enum: ["border", "pulse", "arrow", "zoom", "circle", "rectangle"],
-                          description: "Highlight style. Element-based: border, pulse, arrow, zoom. Coordinate-based: circle, rectangle"
-                        },
-                        linger: {
-                          type: "number",
-                          description: "How long to keep highlight visible after phrase ends (seconds)"
+                      url: { type: "string" },
+                      title: { type: "string" },
+                      segments: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            text: { type: "string", description: "The spoken narration for this segment" },
+                            scrollTo: { type: "string", description: "Where to scroll when this segment starts" },
+                            chapter: { type: "string", description: "Chapter title for this segment (default: derived from the scroll target or the text)" },
+                            speaker: { type: "string", description: "Who speaks this segment (dialogue scripts)" }
+                          },
+                          required: ["text", "scrollTo"]
                         }
                       },
-                      required: ["onText"]
-                    }
+                      highlights: RECORDING_INPUT_PROPERTIES.pages.items.properties.highlights,
+                      highlightDefaults: RECORDING_INPUT_PROPERTIES.pages.items.properties.highlightDefaults,
+                      actions: RECORDING_INPUT_PROPERTIES.pages.items.properties.actions,
+                      environment: RECORDING_INPUT_PROPERTIES.pages.items.properties.environment,
+                      redact: RECORDING_INPUT_PROPERTIES.pages.items.properties.redact,
+                      voice: RECORDING_INPUT_PROPERTIES.pages.items.properties.voice
+                    },
+                    required: ["url", "segments"]
                   }
-                },
-                required: ["url"],
+                }
               },
+              required: ["pages"]
             },
+            destination: RECORDING_INPUT_PROPERTIES.destination,
+            captions: RECORDING_INPUT_PROPERTIES.captions,
+            chapters: RECORDING_INPUT_PROPERTIES.chapters,
+            branding: RECORDING_INPUT_PROPERTIES.branding,
+            audio: RECORDING_INPUT_PROPERTIES.audio,
+            cache: RECORDING_INPUT_PROPERTIES.cache,
+            narrator: { ...NARRATOR_SCHEMA, description: "The model that translates the script when it's rendered in another language (provider, model, maxRetries)" },
+            language: {
+              type: "string",
+              description: "Render in this language instead of the script's: the narration, chapter titles and highlight phrases are translated first, and the browser locale follows the language"
+            },
+            languages: LANGUAGES_PROPERTY,
+            async: ASYNC_PROPERTY,
           },
-          required: ["persona", "pages"],
+          required: ["script"],
+        },
+      },
+      {
+        name: "resume_recording",
+        description:
+          "Resume a recording that failed or was cancelled, from the first phase its session manifest doesn't mark complete (e.g. retry just the upload after a Mux error, or the post-processing after an ffmpeg failure). Earlier phases are not redone.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session: SESSION_PROPERTY,
+            async: ASYNC_PROPERTY,
+          },
+          required: ["session"],
+        },
+      },
+      {
+        name: "rerender_recording",
+        description:
+          "Render a finished or failed session again into a new session directory, reusing its narration and, depending on 'from', its audio and screen recording. Use it to re-record the pages, or just re-mix with different captions, chapters, branding, music or destination, without new narration or TTS costs. A recording made with languages has one session per language: re-render each one on its own.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session: SESSION_PROPERTY,
+            from: {
+              type: "string",
+              enum: RERENDER_PHASES,
+              description: "First phase to redo: 'audio' (new speech, e.g. another voice), 'recording' (re-record the pages with the same audio; default) or 'post' (re-mix the existing screen recording)"
+            },
+            voice: RECORDING_INPUT_PROPERTIES.voice,
+            highlightDefaults: RECORDING_INPUT_PROPERTIES.highlightDefaults,
+            environment: RECORDING_INPUT_PROPERTIES.environment,
+            redact: RECORDING_INPUT_PROPERTIES.redact,
+            destination: RECORDING_INPUT_PROPERTIES.destination,
+            captions: RECORDING_INPUT_PROPERTIES.captions,
+            chapters: RECORDING_INPUT_PROPERTIES.chapters,
+            branding: RECORDING_INPUT_PROPERTIES.branding,
+            audio: RECORDING_INPUT_PROPERTIES.audio,
+            cache: RECORDING_INPUT_PROPERTIES.cache,
+            async: ASYNC_PROPERTY,
+          },
+          required: ["session"],
         },
       },
+      {
+        name: "get_recording_status",
+        description:
+          `Get the status of a recording job started with async: true: status (running, cancelling, succeeded, failed, cancelled), phase (${RECORDING_PHASES.join(", ")}), per-page progress, errors, and the result once finished. Without a jobId, lists all jobs.`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobId: {
+              type: "string",
+              description: "The jobId returned when the recording started"
+            }
+          }
+        }
+      },
+      {
+        name: "cancel_recording",
+        description:
+          "Cancel a running recording job. Stops the browser and any ffmpeg process; files written so far stay in the session directory.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobId: {
+              type: "string",
+              description: "The jobId returned when the recording started"
+            }
+          },
+          required: ["jobId"]
+        }
+      },
+      {
+        name: "clear_recording_cache",
+        description:
+          "Delete cached narration and/or synthesized speech, so the next recordings call Claude and the TTS provider again. Returns how many entries were removed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            kind: {
+              type: "string",
+              enum: CACHE_KINDS,
+              description: "Only clear this kind of entry (default: both)"
+            }
+          }
+        }
+      },
       {
         name: "get_element_bounds",
         description:
@@ -764,66 +2802,195 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
   };
 });
 
+// Wrap a JSON-serializable value as a tool result
+function toolResult(value) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: redactSecrets(JSON.stringify(value, null, 2)),
+      },
+    ],
+  };
+}
+
+// Wrap an error as a tool result
+function toolError(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: redactSecrets(JSON.stringify({ error: error.message }, null, 2)),
+      },
+    ],
+    isError: true,
+  };
+}
+
+// Recording options from tool arguments
+function recordingOptions(args) {
+  return {
+    highlightDefaults: args.highlightDefaults,
+    environment: args.environment,
+    auth: args.auth,
+    redact: args.redact,
+    voice: args.voice,
+    speakers: args.speakers,
+    vision: args.vision,
+    narrator: args.narrator,
+    language: args.language,
+    narrationLanguage: args.narrationLanguage,
+    languages: args.languages,
+    destination: args.destination,
+    captions: args.captions,
+    chapters: args.chapters,
+    branding: args.branding,
+    audio: args.audio,
+    cache: args.cache,
+  };
+}
+
+// Run a long recording tool. With args.async it becomes a background job and
+// the job id comes back right away; otherwise it runs in the foreground,
+// sending MCP progress notifications and stopping if the client cancels.
+async function runRecordingTool(kind, args, request, extra, run) {
+  if (args.async) {
+    const job = startJob(kind, run);
+    return toolResult({
+      jobId: job.id,
+      status: job.status,
+      message: "Recording started. Poll get_recording_status with this jobId, or stop it with cancel_recording.",
+    });
+  }
+
+  const progressToken = request.params._meta?.progressToken;
+  const onProgress = (update) => {
+    if (progressToken === undefined || !update.phase) return;
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: {
+        progressToken,
+        progress: overallProgress(update.phase, update.page, update.pages),
+        total: 100,
+        ...(update.message ? { message: update.message } : {}),
+      },
+    }).catch(() => {});
+  };
+
+  const result = await run({ signal: extra.signal, onProgress });
+  return toolResult(result);
+}
+
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
 
   if (name === "create_narrated_recording") {
     try {
-      const result = await createNarratedRecording(args.persona, args.pages, args.highlightDefaults);
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
+      return await runRecordingTool(name, args, request, extra, (control) =>
+        createNarratedRecording(args.persona, args.pages, { ...recordingOptions(args), ...control })
+      );
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({ error: error.message }, null, 2),
-          },
-        ],
-        isError: true,
-      };
+      return toolError(error);
     }
   }
 
-  if (name === "get_element_bounds") {
+  if (name === "draft_recording_script") {
     try {
-      agentBrowser(`open "${args.url}"`, { timeout: 60000 });
-      await sleep(1000);
+      return await runRecordingTool(name, args, request, extra, (control) =>
+        draftRecordingScript(args.persona, args.pages, { ...recordingOptions(args), ...control })
+      );
+    } catch (error) {
+      return toolError(error);
+    }
+  }
 
-      const result = agentBrowser(`get box "${args.selector}" --json`);
-      agentBrowser(`close`);
+  if (name === "render_recording_script") {
+    try {
+      return await runRecordingTool(name, args, request, extra, (control) =>
+        renderRecordingScript(args.script, {
+          destination: args.destination,
+          captions: args.captions,
+          chapters: args.chapters,
+          branding: args.branding,
+          audio: args.audio,
+          cache: args.cache,
+          narrator: args.narrator,
+          language: args.language,
+          languages: args.languages,
+          ...control,
+        })
+      );
+    } catch (error) {
+      return toolError(error);
+    }
+  }
 
-      const bounds = JSON.parse(result);
+  if (name === "resume_recording") {
+    try {
+      return await runRecordingTool(name, args, request, extra, (control) =>
+        resumeRecording(args.session, control)
+      );
+    } catch (error) {
+      return toolError(error);
+    }
+  }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(bounds, null, 2),
-          },
-        ],
-      };
+  if (name === "rerender_recording") {
+    try {
+      return await runRecordingTool(name, args, request, extra, (control) =>
+        rerenderRecording(args.session, args.from, { ...recordingOptions(args), ...control })
+      );
     } catch (error) {
-      try {
-        agentBrowser(`close`);
-      } catch (e) {}
+      return toolError(error);
+    }
+  }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({ error: error.message }, null, 2),
-          },
-        ],
-        isError: true,
-      };
+  if (name === "get_recording_status") {
+    if (!args.jobId) {
+      return toolResult({ jobs: listJobs().map(jobSnapshot) });
+    }
+    const job = getJob(args.jobId);
+    if (!job) {
+      return toolError(new Error(`Unknown job: ${args.jobId}`));
+    }
+    return toolResult(jobSnapshot(job));
+  }
+
+  if (name === "cancel_recording") {
+    const job = getJob(args.jobId);
+    if (!job) {
+      return toolError(new Error(`Unknown job: ${args.jobId}`));
+    }
+    const cancelled = cancelJob(job);
+    return toolResult({
+      ...jobSnapshot(job),
+      message: cancelled ? "Cancelling: the browser and any ffmpeg process will be stopped" : `Job already ${job.status}`,
+    });
+  }
+
+  if (name === "clear_recording_cache") {
+    try {
+      return toolResult(clearCache(args?.kind));
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+
+  if (name === "get_element_bounds") {
+    let browser = null;
+    try {
+      browser = await createBrowser();
+      await openUrl(browser, args.url);
+      await sleep(1000);
+
+      const bounds = await browser.box({ selector: args.selector });
+      await browser.close();
+
+      return toolResult(bounds);
+    } catch (error) {
+      await closeBrowser(browser);
+      return toolError(error);
     }
   }
 
@@ -837,7 +3004,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
-  console.error("[narrator] MCP server started (using agent-browser SDK)");
+  console.error(`[narrator] MCP server started (browser driver: ${process.env.BROWSER_DRIVER || "auto"})`);
 }
 
 main().catch((error) => {
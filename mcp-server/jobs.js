@@ -0,0 +1,128 @@
+// In-process registry of recording jobs.
+//
+// A job runs a recording in the background so the MCP call can return right
+// away. Clients poll get_recording_status and can cancel_recording, which
+// aborts the job's signal; the recording code checks it between steps and
+// kills any running ffmpeg.
+
+import { randomUUID } from "crypto";
+
+export const RECORDING_PHASES = ["research", "audio", "recording", "post", "upload"];
+
+// Share of overall progress spent in each phase, for a single 0-100 figure
+const PHASE_WEIGHTS = { research: 20, audio: 15, recording: 40, post: 15, upload: 10 };
+
+// Finished jobs are kept this long for status queries
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const jobs = new Map();
+
+// Overall percent complete from a phase and the page within it
+export function overallProgress(phase, page = 0, pages = 0) {
+  let done = 0;
+  for (const name of RECORDING_PHASES) {
+    if (name === phase) {
+      return Math.round(done + (pages > 0 ? (page / pages) * PHASE_WEIGHTS[name] : 0));
+    }
+    done += PHASE_WEIGHTS[name];
+  }
+  return done;
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+}
+
+// Start work in the background. run({ signal, onProgress }) should resolve
+// with the tool result.
+export function startJob(kind, run) {
+  pruneJobs();
+
+  const controller = new AbortController();
+  const job = {
+    id: randomUUID(),
+    kind,
+    status: "running",
+    phase: null,
+    progress: { percent: 0 },
+    errors: [],
+    result: null,
+    sessionDir: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    finishedAt: null,
+    controller,
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (update) => updateJob(job, update);
+
+  run({ signal: controller.signal, onProgress })
+    .then((result) => {
+      job.status = "succeeded";
+      job.result = result;
+    })
+    .catch((error) => {
+      job.status = controller.signal.aborted ? "cancelled" : "failed";
+      job.errors.push(error.message);
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+      job.updatedAt = job.finishedAt;
+      console.error(`[narrator] Job ${job.id} ${job.status}`);
+    });
+
+  return job;
+}
+
+// Record progress: { phase, page, pages, message, sessionDir, warning }
+export function updateJob(job, update) {
+  if (update.sessionDir) job.sessionDir = update.sessionDir;
+  if (update.warning) job.errors.push(update.warning);
+  if (update.phase) {
+    job.phase = update.phase;
+    job.progress = {
+      percent: overallProgress(update.phase, update.page, update.pages),
+      ...(update.pages ? { page: update.page, pages: update.pages } : {}),
+      ...(update.message ? { message: update.message } : {}),
+    };
+  }
+  job.updatedAt = Date.now();
+}
+
+export function getJob(id) {
+  return jobs.get(id);
+}
+
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+// Ask a running job to stop. Returns false if it already finished.
+export function cancelJob(job) {
+  if (job.status !== "running") return false;
+  job.status = "cancelling";
+  job.updatedAt = Date.now();
+  job.controller.abort();
+  return true;
+}
+
+// Public view of a job, safe to serialize
+export function jobSnapshot(job) {
+  return {
+    jobId: job.id,
+    kind: job.kind,
+    status: job.status,
+    phase: job.phase,
+    progress: job.progress,
+    errors: job.errors,
+    sessionDir: job.sessionDir,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    ...(job.finishedAt ? { finishedAt: new Date(job.finishedAt).toISOString() } : {}),
+    ...(job.result ? { result: job.result } : {}),
+  };
+}
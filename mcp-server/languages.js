@@ -0,0 +1,103 @@
+// Localized recordings: the narration language, the voice that speaks it and
+// the browser locale the pages are shown in.
+//
+// A recording has at most one language. `languages` asks for several; each
+// becomes its own recording (and session) with the options from
+// localizedOptions, run one after another.
+
+import { resolveVoice, overrideVoice } from "./tts.js";
+
+const MAX_LANGUAGES = 8;
+
+function checkLanguage(language, where) {
+  if (typeof language !== "string" || !language) {
+    throw new Error(`${where} must be a language code like "de" or "pt-BR"`);
+  }
+  try {
+    Intl.getCanonicalLocales(language);
+  } catch (e) {
+    throw new Error(`${where}: invalid language "${language}"`);
+  }
+}
+
+// A languages entry as { language, voice, locale }
+export function languageEntry(entry) {
+  return typeof entry === "string" ? { language: entry } : entry;
+}
+
+// Check language, narrationLanguage and languages before anything runs
+export function validateLanguages({ language, narrationLanguage, languages } = {}) {
+  if (language !== undefined) checkLanguage(language, "language");
+  if (narrationLanguage !== undefined) checkLanguage(narrationLanguage, "narrationLanguage");
+  if (languages === undefined) return;
+
+  if (language !== undefined) {
+    throw new Error("Pass either language or languages, not both");
+  }
+  if (!Array.isArray(languages) || languages.length === 0 || languages.length > MAX_LANGUAGES) {
+    throw new Error(`languages must be a list of 1 to ${MAX_LANGUAGES} languages`);
+  }
+  const seen = new Set();
+  languages.forEach((entry, i) => {
+    const { language: code, locale, voice } = languageEntry(entry) || {};
+    checkLanguage(code, `languages[${i}]`);
+    if (locale !== undefined) checkLanguage(locale, `languages[${i}].locale`);
+    if (voice) resolveVoice(voice);
+    const canonical = Intl.getCanonicalLocales(code)[0];
+    if (seen.has(canonical)) {
+      throw new Error(`Language "${code}" is listed twice`);
+    }
+    seen.add(canonical);
+  });
+}
+
+// English name of a language for prompts and caption labels ("de" -> "German")
+export function languageName(language) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(language) || language;
+  } catch (e) {
+    return language;
+  }
+}
+
+// Whether two language codes mean the same language ("pt-BR" and "pt-br")
+export function sameLanguage(a, b) {
+  if (!a || !b) return !a && !b;
+  return Intl.getCanonicalLocales(a)[0] === Intl.getCanonicalLocales(b)[0];
+}
+
+// A voice that speaks the language. The ElevenLabs multilingual models and
+// OpenAI voices speak whatever they are given; espeak-ng needs a voice for
+// the language, so without a voiceId (or LOCAL_TTS_VOICE) it uses the
+// language code.
+export function voiceForLanguage(voice = {}, language) {
+  if (!language || voice.voiceId || process.env.LOCAL_TTS_VOICE) return voice;
+  const resolved = resolveVoice(voice);
+  if (resolved.provider === "local" && resolved.modelId !== "piper") {
+    return { ...voice, voiceId: language.toLowerCase() };
+  }
+  return voice;
+}
+
+// Options for a single-language recording: the browser locale follows the
+// language unless the environment sets one
+export function languageOptions(options) {
+  if (!options.language || options.environment?.locale) return options;
+  return { ...options, environment: { ...options.environment, locale: options.language } };
+}
+
+// Options for one language of a multi-language request: the narration
+// language, its voice (the entry's, over the recording's) and a browser
+// locale to match. Custom narration is written in the first language unless
+// narrationLanguage says otherwise.
+export function localizedOptions(options, entry) {
+  const { languages, ...rest } = options;
+  const { language, voice, locale } = languageEntry(entry);
+  return {
+    ...rest,
+    language,
+    narrationLanguage: options.narrationLanguage || languageEntry(languages[0]).language,
+    voice: overrideVoice(options.voice, voice),
+    environment: { ...options.environment, locale: locale || language },
+  };
+}
@@ -0,0 +1,217 @@
+// The language model that writes and translates narration.
+//
+// Two backends: Anthropic's Messages API (default) and any OpenAI-compatible
+// chat completions endpoint, which includes local servers (llama.cpp, vLLM,
+// Ollama, LM Studio) for offline runs. Requests ask for JSON matching a
+// schema, and the reply is validated here too, since not every server
+// enforces it. Rate limits, server errors and invalid replies are retried
+// with exponential backoff.
+//
+// The endpoint and keys come from the environment only, so a tool call can't
+// send page content (or an API key) somewhere else:
+//
+//   NARRATION_PROVIDER    anthropic (default) or openai
+//   NARRATION_MODEL       model name (defaults below)
+//   NARRATION_BASE_URL    API base, e.g. http://localhost:11434/v1
+//   NARRATION_API_KEY     key for that endpoint (else ANTHROPIC_API_KEY / OPENAI_API_KEY)
+//   NARRATION_MAX_RETRIES retries after the first attempt (default: 3)
+
+export const LLM_PROVIDERS = ["anthropic", "openai"];
+
+const DEFAULT_MODELS = {
+  anthropic: "claude-sonnet-4-5-20250929",
+  openai: "gpt-4o-mini",
+};
+
+const DEFAULT_BASE_URLS = {
+  anthropic: "https://api.anthropic.com/v1",
+  openai: "https://api.openai.com/v1",
+};
+
+const DEFAULT_MAX_RETRIES = 3;
+const MAX_BACKOFF_MS = 30000;
+const REQUEST_TIMEOUT_MS = 120000;
+
+// An error worth another attempt: rate limits, server errors, invalid replies
+class RetryableError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Fill in provider, model and retries from the request, then env, then
+// defaults. NARRATION_BASE_URL is the endpoint of NARRATION_PROVIDER (of
+// any provider when that isn't set).
+export function resolveLlm(settings = {}) {
+  const provider = settings.provider || process.env.NARRATION_PROVIDER || "anthropic";
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown narration provider "${provider}" (expected one of: ${LLM_PROVIDERS.join(", ")})`);
+  }
+  const envRetries = parseInt(process.env.NARRATION_MAX_RETRIES, 10);
+  const envBaseUrl = process.env.NARRATION_BASE_URL;
+  const baseUrl = envBaseUrl && (!process.env.NARRATION_PROVIDER || provider === process.env.NARRATION_PROVIDER)
+    ? envBaseUrl
+    : DEFAULT_BASE_URLS[provider];
+
+  return {
+    provider,
+    model: settings.model || process.env.NARRATION_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: baseUrl.replace(/\/$/, ""),
+    maxRetries: settings.maxRetries ?? (Number.isInteger(envRetries) && envRetries >= 0 ? envRetries : DEFAULT_MAX_RETRIES),
+  };
+}
+
+function apiKey(llm) {
+  const key = process.env.NARRATION_API_KEY
+    || (llm.provider === "anthropic" ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY);
+  // Local servers usually need no key; the hosted APIs do
+  if (!key && llm.baseUrl === DEFAULT_BASE_URLS[llm.provider]) {
+    const name = llm.provider === "anthropic" ? "ANTHROPIC_API_KEY" : "OPENAI_API_KEY";
+    throw new Error(`${name} not set - required for generating narration (or set NARRATION_BASE_URL to a local server)`);
+  }
+  return key;
+}
+
+// Anthropic content blocks as OpenAI message parts
+function openAiContent(content) {
+  return content.map(block => (block.type === "image"
+    ? { type: "image_url", image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+    : { type: "text", text: block.text }));
+}
+
+function anthropicRequest(llm, key, { content, schema, maxTokens }) {
+  return {
+    url: `${llm.baseUrl}/messages`,
+    headers: {
+      ...(key ? { "x-api-key": key } : {}),
+      "content-type": "application/json",
+      "anthropic-version": "2023-06-01",
+      "anthropic-beta": "structured-outputs-2025-11-13",
+    },
+    body: {
+      model: llm.model,
+      max_tokens: maxTokens,
+      messages: [{ role: "user", content }],
+      output_format: { type: "json_schema", schema },
+    },
+    text: data => data.content?.find(block => block.type === "text")?.text,
+    truncated: data => data.stop_reason === "max_tokens",
+  };
+}
+
+function openAiRequest(llm, key, { content, schema, schemaName, maxTokens }) {
+  return {
+    url: `${llm.baseUrl}/chat/completions`,
+    headers: {
+      "content-type": "application/json",
+      ...(key ? { Authorization: `Bearer ${key}` } : {}),
+    },
+    body: {
+      model: llm.model,
+      max_tokens: maxTokens,
+      messages: [{ role: "user", content: openAiContent(content) }],
+      response_format: { type: "json_schema", json_schema: { name: schemaName, schema } },
+    },
+    text: data => data.choices?.[0]?.message?.content,
+    truncated: data => data.choices?.[0]?.finish_reason === "length",
+  };
+}
+
+// Seconds or an HTTP date, as Retry-After allows
+function retryAfterMs(response) {
+  const value = response.headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pull the JSON object out of a reply, tolerating a code fence around it
+function parseJson(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new RetryableError("The model returned no text");
+  }
+  const body = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new RetryableError(`The model returned invalid JSON: ${e.message}`);
+  }
+}
+
+async function attempt(llm, key, request, validate, signal) {
+  const { url, headers, body, text, truncated } = (llm.provider === "anthropic" ? anthropicRequest : openAiRequest)(llm, key, request);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)]) : AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (e) {
+    if (signal?.aborted) throw new Error("Recording cancelled");
+    throw new RetryableError(`Could not reach ${llm.baseUrl}: ${e.message}`);
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    const message = `${llm.provider === "anthropic" ? "Claude" : "Narration model"} API error (${response.status}): ${error}`;
+    if (response.status === 429 || response.status >= 500) {
+      throw new RetryableError(message, retryAfterMs(response));
+    }
+    throw new Error(message);
+  }
+
+  const data = await response.json();
+  // Another attempt would run out the same way
+  if (truncated(data)) {
+    throw new Error(`The model's reply was cut off at ${request.maxTokens} tokens: raise narrator.maxTokens`);
+  }
+  const value = parseJson(text(data));
+  const problem = validate(value);
+  if (problem) {
+    throw new RetryableError(`The model's reply was unusable: ${problem}`);
+  }
+  return value;
+}
+
+// Wait ms, or until signal aborts. The abort listener goes once the wait is
+// over, so retries don't pile listeners onto the job's signal.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Recording cancelled"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Recording cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Ask the model for JSON matching schema. content is a list of Anthropic
+// content blocks (text and base64 images); validate(value) returns a problem
+// description or null. Retries with exponential backoff (or the server's
+// Retry-After) on 429, 5xx, network errors and invalid replies.
+export async function completeJson(llm, { content, schema, schemaName, maxTokens, validate = () => null }, { signal, logDebug = () => {} } = {}) {
+  const key = apiKey(llm);
+  const request = { content, schema, schemaName, maxTokens };
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(llm, key, request, validate, signal);
+    } catch (error) {
+      if (!(error instanceof RetryableError) || i >= llm.maxRetries) throw error;
+      const backoffMs = error.retryAfterMs ?? Math.min(MAX_BACKOFF_MS, 1000 * 2 ** i) * (0.8 + Math.random() * 0.4);
+      logDebug(`${error.message} - retrying in ${(backoffMs / 1000).toFixed(1)}s (${i + 1}/${llm.maxRetries})`);
+      await sleep(Math.min(backoffMs, MAX_BACKOFF_MS), signal);
+    }
+  }
+}
@@ -0,0 +1,88 @@
+// Session manifest: everything needed to pick a recording back up.
+//
+// manifest.json sits next to the session's clips and video and is rewritten
+// as each phase finishes, so a failed upload or ffmpeg step can be resumed
+// from the saved narration, audio timings and marks instead of starting over.
+
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { join } from "path";
+import { RECORDING_PHASES } from "./jobs.js";
+import { redactSecrets } from "./auth.js";
+
+export const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+
+// Fresh manifest for a new session. kind is "recording", "script", "draft"
+// or "rerender"; details carries persona, pages and the render options.
+export function createManifest(sessionId, kind, details = {}) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    sessionId,
+    kind,
+    createdAt: now,
+    updatedAt: now,
+    ...details,
+    phases: Object.fromEntries(RECORDING_PHASES.map(phase => [phase, { status: "pending" }])),
+  };
+}
+
+export function manifestPath(sessionDir) {
+  return join(sessionDir, MANIFEST_FILE);
+}
+
+export function loadManifest(sessionDir) {
+  const path = manifestPath(sessionDir);
+  if (!existsSync(path)) {
+    throw new Error(`No ${MANIFEST_FILE} in ${sessionDir}: only sessions recorded with a manifest can be resumed`);
+  }
+  const manifest = JSON.parse(readFileSync(path, "utf-8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+  }
+  return manifest;
+}
+
+// Any resolved credential that found its way into the manifest is redacted
+export function saveManifest(sessionDir, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  writeFileSync(manifestPath(sessionDir), JSON.stringify(manifest, (key, value) => redactSecrets(value), 2));
+}
+
+export function isPhaseComplete(manifest, phase) {
+  return manifest.phases[phase]?.status === "complete";
+}
+
+// The phase a resume should start from, or null when everything is done
+export function firstIncompletePhase(manifest) {
+  return RECORDING_PHASES.find(phase => !isPhaseComplete(manifest, phase)) || null;
+}
+
+export function startPhase(manifest, phase) {
+  manifest.phases[phase] = { status: "running", startedAt: new Date().toISOString() };
+}
+
+// Mark a phase complete and store what it produced
+export function completePhase(manifest, phase, data = {}) {
+  Object.assign(manifest, data);
+  manifest.phases[phase] = {
+    ...manifest.phases[phase],
+    status: "complete",
+    completedAt: new Date().toISOString(),
+  };
+}
+
+// Mark whichever phase was running as failed. The message is saved with
+// resolved credentials redacted.
+export function failPhase(manifest, error) {
+  for (const phase of RECORDING_PHASES) {
+    if (manifest.phases[phase]?.status === "running") {
+      manifest.phases[phase] = {
+        ...manifest.phases[phase],
+        status: "failed",
+        error: redactSecrets(error.message),
+        failedAt: new Date().toISOString(),
+      };
+    }
+  }
+}
@@ -0,0 +1,234 @@
+// What the narration model is asked: the prompt (a template, which can be
+// replaced), its guidelines and the narrator option that shapes them. Segment
+// counts, a word budget per page and the audience, tone and goal of the
+// recording all end up as guidelines in the prompt.
+//
+// A template is plain text with {{placeholders}}:
+//
+//   {{voices}}      the persona, or the speakers of a dialogue
+//   {{persona}}     the persona alone
+//   {{url}}         the page being narrated
+//   {{snapshot}}    its accessibility snapshot
+//   {{refs}}        the element refs it may scroll to
+//   {{guidelines}}  the rules below, as a bulleted list
+//   {{audience}}, {{tone}}, {{goal}}, {{language}}, {{wordBudget}}
+//
+// It comes from narrator.promptTemplate, else the file NARRATION_PROMPT_TEMPLATE
+// names, else DEFAULT_PROMPT_TEMPLATE.
+
+import { readFileSync } from "fs";
+import { resolveLlm } from "./llm.js";
+import { languageName } from "./languages.js";
+import { sha256 } from "./cache.js";
+
+export const SPOKEN_WORDS_PER_SECOND = 2.5;
+
+const PLACEHOLDERS = ["voices", "persona", "url", "snapshot", "refs", "guidelines", "audience", "tone", "goal", "language", "wordBudget"];
+const PLACEHOLDER = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+export const DEFAULT_PROMPT_TEMPLATE = `You are narrating a screen recording of a website visit. {{voices}}
+
+You are currently viewing: {{url}}
+
+Here is the accessibility snapshot of the page:
+{{snapshot}}
+
+Here are the available element refs you can scroll to (only use refs from this list):
+{{refs}}
+
+Generate narration that flows naturally through the page from top to bottom. As you mention different parts of the page, we'll scroll to show them.
+
+Guidelines:
+{{guidelines}}`;
+
+// Segments per page when the narrator option doesn't say
+const DEFAULT_SEGMENTS = { min: 3, max: 5 };
+const DEFAULT_DIALOGUE_SEGMENTS = { min: 4, max: 8 };
+const MAX_SEGMENTS = 20;
+
+const DEFAULT_MAX_TOKENS = 800;
+const MAX_TOKENS = 16000;
+const MAX_RETRIES = 10;
+
+function checkRange(value, name, min, max) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+    throw new Error(`narrator.${name} must be a whole number from ${min} to ${max}`);
+  }
+}
+
+function checkTemplate(template, where) {
+  if (typeof template !== "string" || !template.trim()) {
+    throw new Error(`${where} must be non-empty text`);
+  }
+  for (const [, name] of template.matchAll(PLACEHOLDER)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(`${where} has an unknown placeholder {{${name}}} (expected one of: ${PLACEHOLDERS.join(", ")})`);
+    }
+  }
+}
+
+function templateFromEnv() {
+  const path = process.env.NARRATION_PROMPT_TEMPLATE;
+  if (!path) return null;
+  try {
+    return readFileSync(path, "utf-8");
+  } catch (e) {
+    throw new Error(`Could not read NARRATION_PROMPT_TEMPLATE ${path}: ${e.message}`);
+  }
+}
+
+// Check the narrator option (and NARRATION_PROMPT_TEMPLATE) before anything runs
+export function validateNarrator(narrator) {
+  const envTemplate = templateFromEnv();
+  if (envTemplate !== null) checkTemplate(envTemplate, "NARRATION_PROMPT_TEMPLATE");
+  if (narrator === undefined || narrator === null) return;
+  if (typeof narrator !== "object") {
+    throw new Error("narrator must be an object");
+  }
+
+  resolveLlm(narrator);
+  if (narrator.model !== undefined && (typeof narrator.model !== "string" || !narrator.model.trim())) {
+    throw new Error("narrator.model must be a model name");
+  }
+  if (narrator.promptTemplate !== undefined) checkTemplate(narrator.promptTemplate, "narrator.promptTemplate");
+  checkRange(narrator.maxTokens, "maxTokens", 256, MAX_TOKENS);
+  checkRange(narrator.maxRetries, "maxRetries", 0, MAX_RETRIES);
+  checkRange(narrator.minSegments, "minSegments", 1, MAX_SEGMENTS);
+  checkRange(narrator.maxSegments, "maxSegments", 1, MAX_SEGMENTS);
+  if (narrator.minSegments !== undefined && narrator.maxSegments !== undefined && narrator.minSegments > narrator.maxSegments) {
+    throw new Error("narrator.minSegments can't be more than narrator.maxSegments");
+  }
+  checkRange(narrator.wordBudget, "wordBudget", 5, 2000);
+  if (narrator.targetDurationSec !== undefined && !(typeof narrator.targetDurationSec === "number" && narrator.targetDurationSec >= 2 && narrator.targetDurationSec <= 600)) {
+    throw new Error("narrator.targetDurationSec must be from 2 to 600 seconds");
+  }
+  if (narrator.wordBudget !== undefined && narrator.targetDurationSec !== undefined) {
+    throw new Error("Pass either narrator.wordBudget or narrator.targetDurationSec, not both");
+  }
+  for (const field of ["audience", "tone", "goal"]) {
+    if (narrator[field] !== undefined && (typeof narrator[field] !== "string" || !narrator[field].trim())) {
+      throw new Error(`narrator.${field} must be non-empty text`);
+    }
+  }
+}
+
+// The prompt side of the narrator option, with defaults filled in. Segment
+// bounds default to 3-5 (4-8 for a dialogue) and are only enforced on the
+// model's reply when they were asked for.
+export function narratorSettings(narrator = {}, { speakers = null } = {}) {
+  const defaults = speakers ? DEFAULT_DIALOGUE_SEGMENTS : DEFAULT_SEGMENTS;
+  const maxSegments = narrator.maxSegments ?? Math.max(defaults.max, narrator.minSegments ?? 0);
+  const minSegments = narrator.minSegments ?? Math.min(defaults.min, maxSegments);
+  const wordBudget = narrator.wordBudget
+    ?? (narrator.targetDurationSec ? Math.round(narrator.targetDurationSec * SPOKEN_WORDS_PER_SECOND) : null);
+  const customTemplate = narrator.promptTemplate ?? templateFromEnv();
+
+  return {
+    template: customTemplate ?? DEFAULT_PROMPT_TEMPLATE,
+    customTemplate: customTemplate !== null,
+    minSegments,
+    maxSegments,
+    strictSegments: narrator.minSegments !== undefined || narrator.maxSegments !== undefined,
+    wordBudget,
+    // JSON, segment by segment, costs about three tokens a word
+    maxTokens: narrator.maxTokens ?? Math.max(DEFAULT_MAX_TOKENS, (wordBudget || 0) * 3),
+    audience: narrator.audience?.trim() || null,
+    tone: narrator.tone?.trim() || null,
+    goal: narrator.goal?.trim() || null,
+  };
+}
+
+// What about the prompt changes the narration, for the cache key. Nothing
+// when the prompt is the default one, so earlier cache entries still match.
+export function promptCacheFields(settings) {
+  const fields = {
+    template: settings.customTemplate ? sha256(settings.template) : undefined,
+    segments: settings.strictSegments ? [settings.minSegments, settings.maxSegments] : undefined,
+    wordBudget: settings.wordBudget || undefined,
+    audience: settings.audience || undefined,
+    tone: settings.tone || undefined,
+    goal: settings.goal || undefined,
+  };
+  return Object.values(fields).some(value => value !== undefined) ? fields : undefined;
+}
+
+function segmentCount({ minSegments, maxSegments }) {
+  if (minSegments === maxSegments) return `exactly ${minSegments} segment${minSegments === 1 ? "" : "s"}`;
+  return `${minSegments}-${maxSegments} segments`;
+}
+
+// The rules the narration follows, one per line
+function guidelines(settings, { speakers, language, screenshots }) {
+  const lines = [
+    speakers
+      ? `Create ${segmentCount(settings)} that flow naturally as one continuous conversation`
+      : `Create ${segmentCount(settings)} that flow naturally as one continuous narration`,
+    settings.wordBudget
+      ? `Keep the whole page's narration to about ${settings.wordBudget} words (about ${Math.round(settings.wordBudget / SPOKEN_WORDS_PER_SECOND)} seconds spoken), spread over the segments`
+      : "Each segment should be 1-2 sentences",
+    "Start at the top of the page and work your way down",
+    `For scrollTo, use "top" for the first segment, then use ref IDs (e.g. "e13", "e83", "e121") for elements you want to scroll to`,
+    "ONLY use ref IDs that appear in the list above - do not invent selectors",
+    "Pick refs for headings, sections, or landmarks that match what you're talking about",
+    "Keep it natural and conversational - this will be converted to speech",
+    "Stay in character throughout",
+  ];
+  if (settings.audience) lines.push(`The audience: ${settings.audience}. Pitch the detail and vocabulary to them`);
+  if (settings.tone) lines.push(`Tone: ${settings.tone}`);
+  if (settings.goal) lines.push(`The goal of the recording: ${settings.goal}. Steer the narration toward it`);
+  if (speakers) {
+    lines.push(
+      "Write it as a back-and-forth dialogue: each segment is spoken by one speaker, and the speakers take turns reacting to each other and to the page",
+      "Keep every speaker in their own character",
+    );
+  }
+  if (screenshots.length > 0) {
+    lines.push(
+      "The screenshots above show the page; each caption says where it sits on the page in pixels. Comment on layout, imagery, colors and charts where they stand out",
+      "Only describe what is actually visible on the page. Content in the snapshot that no screenshot shows may be hidden, so don't describe it as if it were on screen",
+      `To show a visual region that has no ref (an image, a chart, a color block), use its page y coordinate as scrollTo, e.g. "1450px"`,
+    );
+  }
+  if (language) lines.push(`Write all narration in ${languageName(language)} (${language}), whatever language the page is in`);
+  return lines.map(line => `- ${line}`).join("\n");
+}
+
+// The prompt for one page. refs is the list of refs the narration may
+// scroll to, one per line.
+export function narrationPrompt(settings, { persona, url, snapshot, refs, speakers = null, language = null, screenshots = [] }) {
+  const voices = speakers
+    ? `This is a conversation between ${speakers.length} speakers, in the style of: ${persona}
+${speakers.map(speaker => `- ${speaker.name}: ${speaker.persona}`).join("\n")}`
+    : `Your persona: ${persona}`;
+  const values = {
+    voices,
+    persona,
+    url,
+    snapshot,
+    refs,
+    guidelines: guidelines(settings, { speakers, language, screenshots }),
+    audience: settings.audience || "",
+    tone: settings.tone || "",
+    goal: settings.goal || "",
+    language: language ? languageName(language) : "",
+    wordBudget: settings.wordBudget ? String(settings.wordBudget) : "",
+  };
+  return settings.template.replace(PLACEHOLDER, (match, name) => values[name] ?? match);
+}
+
+// Why a reply isn't usable narration, or null when it is
+export function narrationProblem(value, settings, { speakers = null } = {}) {
+  const segments = value?.segments;
+  if (!Array.isArray(segments) || segments.length === 0) return "no segments";
+  for (const [i, segment] of segments.entries()) {
+    if (typeof segment?.text !== "string" || !segment.text.trim()) return `segment ${i + 1} has no text`;
+    if (typeof segment.scrollTo !== "string" || !segment.scrollTo.trim()) return `segment ${i + 1} has no scrollTo`;
+    if (speakers && !speakers.some(speaker => speaker.name === segment.speaker)) {
+      return `segment ${i + 1} has an unknown speaker "${segment.speaker}"`;
+    }
+  }
+  if (settings.strictSegments && (segments.length < settings.minSegments || segments.length > settings.maxSegments)) {
+    return `${segments.length} segments, expected ${segmentCount(settings)}`;
+  }
+  return null;
+}
@@ -0,0 +1,52 @@
+// Scripted page interactions.
+//
+// A page's actions run twice: in the research browser before its snapshot,
+// and on camera when their onText phrase is spoken. An action marked
+// research: false (a submit, a purchase) only runs on camera.
+
+export const PAGE_ACTIONS = ["click", "fill", "type", "hover", "press", "select", "wait"];
+
+export const LOAD_STATES = ["load", "domcontentloaded", "networkidle"];
+
+const TARGETED = ["click", "fill", "type", "hover", "select"];
+const WITH_VALUE = ["fill", "type", "select"];
+
+function checkAction(action, where) {
+  if (!action || typeof action !== "object") {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!PAGE_ACTIONS.includes(action.action)) {
+    throw new Error(`${where}: unknown action "${action.action}" (expected one of: ${PAGE_ACTIONS.join(", ")})`);
+  }
+  if (TARGETED.includes(action.action) && !action.ref && !action.selector) {
+    throw new Error(`${where}: ${action.action} needs a ref or selector`);
+  }
+  if (WITH_VALUE.includes(action.action) && typeof action.value !== "string") {
+    throw new Error(`${where}: ${action.action} needs a value`);
+  }
+  if (action.action === "press" && !action.key) {
+    throw new Error(`${where}: press needs a key`);
+  }
+  if (action.load !== undefined && !LOAD_STATES.includes(action.load)) {
+    throw new Error(`${where}.load must be one of: ${LOAD_STATES.join(", ")}`);
+  }
+  for (const field of ["ms", "timeout"]) {
+    if (action[field] !== undefined && !(Number.isFinite(action[field]) && action[field] >= 0)) {
+      throw new Error(`${where}.${field} must be a number of at least 0`);
+    }
+  }
+  if (action.research !== undefined && typeof action.research !== "boolean") {
+    throw new Error(`${where}.research must be true or false`);
+  }
+}
+
+// Check every page's actions before anything runs
+export function validatePageActions(pages = []) {
+  pages.forEach((page, i) => {
+    if (page.actions === undefined) return;
+    if (!Array.isArray(page.actions)) {
+      throw new Error(`Page ${i + 1} actions must be an array`);
+    }
+    page.actions.forEach((action, j) => checkAction(action, `Page ${i + 1} action ${j + 1}`));
+  });
+}
@@ -0,0 +1,572 @@
+// Publish targets for finished recordings.
+//
+// A destination is "local", "s3" or "mux", or an object like
+// { type: "s3", bucket: "...", prefix: "..." } to override env settings.
+// Each publisher takes the output file and returns a JSON-serializable result.
+
+import { statSync, openSync, readSync, closeSync, createReadStream } from "fs";
+import { basename } from "path";
+import { Readable } from "stream";
+import { pathToFileURL } from "url";
+import { createHash, createHmac } from "crypto";
+
+export const PUBLISH_DESTINATIONS = ["local", "s3", "mux"];
+
+// Sleep helper
+// Wait ms, or reject as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Recording cancelled"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Recording cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// === LOCAL ===
+
+async function publishLocal(filePath, context) {
+  const sidecars = (context.sidecars || []).map(sidecar => ({ ...sidecar, url: pathToFileURL(sidecar.path).href }));
+  return { path: filePath, url: pathToFileURL(filePath).href, ...(sidecars.length > 0 ? { sidecars } : {}) };
+}
+
+// === S3-COMPATIBLE STORAGE ===
+// Signed with AWS Signature V4 so any S3-compatible endpoint (AWS, MinIO,
+// R2, Ceph...) works without an SDK.
+
+function sha256Hex(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function s3Config(options) {
+  const region = options.region || process.env.S3_REGION || process.env.AWS_REGION || "us-east-1";
+  const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set (or pass destination.bucket)");
+  }
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error("S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set");
+  }
+
+  // Custom endpoints (MinIO and friends) default to path-style addressing
+  const forcePathStyle = options.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === "true"
+    : Boolean(endpoint));
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  if (!forcePathStyle) base.hostname = `${bucket}.${base.hostname}`;
+
+  return {
+    region,
+    bucket,
+    base,
+    forcePathStyle,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken: process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN,
+    prefix: options.prefix ?? process.env.S3_PREFIX ?? "agent-recordings/",
+    expiresIn: options.expiresIn || Number(process.env.S3_PRESIGN_EXPIRES) || 7 * 24 * 3600,
+  };
+}
+
+// URL of an object, with each key segment encoded
+function s3ObjectUrl(config, key) {
+  const url = new URL(config.base.href);
+  const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+  const basePath = url.pathname.replace(/\/$/, "");
+  url.pathname = config.forcePathStyle
+    ? `${basePath}/${encodeRfc3986(config.bucket)}/${encodedKey}`
+    : `${basePath}/${encodedKey}`;
+  return url;
+}
+
+// Sign a request and return the Authorization value (headers) or signature (query)
+function s3Signature(config, { method, url, headers, query, payloadHash, amzDate }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const canonicalHeaders = headerNames.map(h => `${h}:${lowerHeaders[h]}\n`).join("");
+  const signedHeaders = headerNames.join(";");
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`)
+    .join("&");
+
+  const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+  const signature = createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return { signature, signedHeaders, scope };
+}
+
+function amzDateNow() {
+  return new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+// Presigned GET URL for sharing without credentials
+function s3PresignGet(config, key) {
+  const url = s3ObjectUrl(config, key);
+  const amzDate = amzDateNow();
+  const query = {
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(Math.min(config.expiresIn, 7 * 24 * 3600)),
+    "X-Amz-SignedHeaders": "host",
+  };
+  if (config.sessionToken) query["X-Amz-Security-Token"] = config.sessionToken;
+
+  const { signature } = s3Signature(config, {
+    method: "GET",
+    url,
+    headers: { host: url.host },
+    query,
+    payloadHash: "UNSIGNED-PAYLOAD",
+    amzDate,
+  });
+
+  for (const [k, v] of Object.entries(query)) url.searchParams.set(k, v);
+  url.searchParams.set("X-Amz-Signature", signature);
+  return url.href;
+}
+
+// PUT one file as an object, streamed from disk. The payload isn't hashed
+// (UNSIGNED-PAYLOAD), so the file is read once, as it's sent; TLS protects it
+// in transit. A single PUT takes objects up to 5 GB.
+async function s3PutObject(config, key, filePath, contentType, signal) {
+  const url = s3ObjectUrl(config, key);
+  const payloadHash = "UNSIGNED-PAYLOAD";
+  const amzDate = amzDateNow();
+  const headers = {
+    host: url.host,
+    "content-length": String(statSync(filePath).size),
+    "content-type": contentType,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (config.sessionToken) headers["x-amz-security-token"] = config.sessionToken;
+
+  const { signature, signedHeaders, scope } = s3Signature(config, {
+    method: "PUT",
+    url,
+    headers,
+    query: {},
+    payloadHash,
+    amzDate,
+  });
+
+  const { host, ...requestHeaders } = headers;
+  const response = await fetch(url, {
+    method: "PUT",
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+    body: Readable.toWeb(createReadStream(filePath)),
+    duplex: "half",
+    signal,
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`S3 upload of ${key} failed (${response.status}): ${error}`);
+  }
+}
+
+const SIDECAR_CONTENT_TYPES = {
+  vtt: "text/vtt",
+  srt: "application/x-subrip",
+};
+
+async function publishS3(filePath, context, options) {
+  const config = s3Config(options);
+  const keyPrefix = `${config.prefix}session-${context.sessionId}/`;
+  const key = `${keyPrefix}${basename(filePath)}`;
+
+  await s3PutObject(config, key, filePath, "video/mp4", context.signal);
+
+  // Sidecar files (captions...) go next to the video
+  const sidecars = [];
+  for (const sidecar of context.sidecars || []) {
+    const sidecarKey = `${keyPrefix}${basename(sidecar.path)}`;
+    await s3PutObject(config, sidecarKey, sidecar.path, SIDECAR_CONTENT_TYPES[sidecar.format] || "application/octet-stream", context.signal);
+    sidecars.push({ ...sidecar, key: sidecarKey, url: s3PresignGet(config, sidecarKey) });
+  }
+
+  return {
+    bucket: config.bucket,
+    key,
+    size: statSync(filePath).size,
+    url: s3PresignGet(config, key),
+    expiresInSec: Math.min(config.expiresIn, 7 * 24 * 3600),
+    ...(sidecars.length > 0 ? { sidecars } : {}),
+  };
+}
+
+// === MUX ===
+
+const MUX_API = "https://api.mux.com/video/v1";
+const MUX_CHUNK_ALIGNMENT = 256 * 1024;
+
+function muxAuthHeader() {
+  const tokenId = process.env.MUX_TOKEN_ID;
+  const tokenSecret = process.env.MUX_TOKEN_SECRET;
+
+  if (!tokenId || !tokenSecret) {
+    throw new Error("MUX_TOKEN_ID and MUX_TOKEN_SECRET must be set");
+  }
+
+  return `Basic ${Buffer.from(`${tokenId}:${tokenSecret}`).toString("base64")}`;
+}
+
+// fetch with retries and exponential backoff on network errors, 429 and 5xx
+async function fetchWithRetry(url, init = {}, { retries = 4, label = "request" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (init.signal?.aborted) throw new Error("Recording cancelled");
+      if (attempt >= retries) throw error;
+      console.error(`[narrator] ${label} failed (${error.message}), retrying...`);
+      await sleep(1000 * 2 ** attempt, init.signal);
+      continue;
+    }
+
+    if ((response.status === 429 || response.status >= 500) && attempt < retries) {
+      console.error(`[narrator] ${label} returned ${response.status}, retrying...`);
+      await sleep(1000 * 2 ** attempt, init.signal);
+      continue;
+    }
+
+    return response;
+  }
+}
+
+// Call the Mux API and return its `data`
+async function muxApi(path, init = {}) {
+  const response = await fetchWithRetry(`${MUX_API}${path}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: muxAuthHeader(),
+      ...init.headers,
+    },
+  }, { label: `Mux ${init.method || "GET"} ${path}` });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Mux API error (${response.status}): ${error}`);
+  }
+
+  return (await response.json()).data;
+}
+
+// Mux passthrough is capped at 255 characters, so drop URLs until it fits
+function muxPassthrough(context) {
+  const data = { sessionId: context.sessionId, persona: context.persona, urls: [...(context.urls || [])] };
+  let passthrough = JSON.stringify(data);
+  while (passthrough.length > 255 && data.urls.length > 0) {
+    data.urls.pop();
+    passthrough = JSON.stringify(data);
+  }
+  if (passthrough.length > 255) {
+    passthrough = JSON.stringify({ sessionId: context.sessionId });
+  }
+  return passthrough;
+}
+
+// The next byte an upload expects, from a 308's Range header (none: nothing
+// stored yet). A 200 or 201 means the upload is complete.
+function rangeOffset(response, size) {
+  if (response.status === 200 || response.status === 201) return size;
+  const range = response.headers.get("range");
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+// Where the upload URL has got to, for resuming after a failed chunk
+async function resumableOffset(uploadUrl, size, signal) {
+  const response = await fetchWithRetry(uploadUrl, {
+    method: "PUT",
+    headers: { "Content-Range": `bytes */${size}` },
+    signal,
+  }, { label: "Upload status" });
+  return rangeOffset(response, size);
+}
+
+// PUT the file to a Mux direct-upload URL in resumable chunks, so large
+// recordings never sit in memory and a dropped chunk doesn't restart the upload
+async function uploadFileInChunks(uploadUrl, filePath, chunkSize, logDebug, signal) {
+  const size = statSync(filePath).size;
+  const alignedChunkSize = Math.max(MUX_CHUNK_ALIGNMENT, Math.floor(chunkSize / MUX_CHUNK_ALIGNMENT) * MUX_CHUNK_ALIGNMENT);
+  const fd = openSync(filePath, "r");
+
+  try {
+    let offset = 0;
+    let failures = 0;
+
+    while (offset < size) {
+      if (signal?.aborted) throw new Error("Recording cancelled");
+      const length = Math.min(alignedChunkSize, size - offset);
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, offset);
+
+      let response;
+      try {
+        response = await fetch(uploadUrl, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "video/mp4",
+            "Content-Range": `bytes ${offset}-${offset + length - 1}/${size}`,
+          },
+          body: chunk,
+          signal,
+        });
+      } catch (error) {
+        if (signal?.aborted) throw new Error("Recording cancelled");
+        response = { ok: false, status: 0, text: async () => error.message };
+      }
+
+      // A 308 says how much has been stored, which may be less than was sent
+      if (response.ok || response.status === 308) {
+        offset = response.status === 308 ? rangeOffset(response, size) : size;
+        failures = 0;
+        logDebug(`Uploaded ${Math.round((offset / size) * 100)}% (${offset}/${size} bytes)`);
+        continue;
+      }
+
+      // Client errors other than rate limiting won't fix themselves
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        throw new Error(`Mux upload failed (${response.status}): ${await response.text()}`);
+      }
+      if (++failures > 5) {
+        throw new Error(`Mux upload failed after ${failures} attempts (${response.status}): ${await response.text()}`);
+      }
+
+      logDebug(`Chunk at ${offset} failed (${response.status}), resuming...`);
+      await sleep(1000 * 2 ** failures, signal);
+      offset = await resumableOffset(uploadUrl, size, signal);
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Poll until check() returns a value, or give up after timeoutMs
+async function pollUntil(check, { timeoutMs, label, signal }) {
+  const deadline = Date.now() + timeoutMs;
+  let delay = 1000;
+  while (Date.now() < deadline) {
+    if (signal?.aborted) throw new Error("Recording cancelled");
+    const value = await check();
+    if (value !== undefined) return value;
+    await sleep(delay, signal);
+    delay = Math.min(delay * 1.5, 10000);
+  }
+  throw new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for ${label}`);
+}
+
+// Upload to Mux and wait for the asset to be ready
+async function publishMux(filePath, context, options, logDebug) {
+  const playbackPolicy = options.playbackPolicy || process.env.MUX_PLAYBACK_POLICY || "public";
+  const videoQuality = options.videoQuality || process.env.MUX_VIDEO_QUALITY || "basic";
+  const chunkSize = (options.chunkSizeMb || Number(process.env.MUX_CHUNK_SIZE_MB) || 32) * 1024 * 1024;
+  const timeoutMs = (options.timeoutSec || Number(process.env.MUX_READY_TIMEOUT) || 900) * 1000;
+
+  // Create upload
+  const upload = await muxApi("/uploads", {
+    method: "POST",
+    body: JSON.stringify({
+      new_asset_settings: {
+        playback_policy: [playbackPolicy],
+        video_quality: videoQuality,
+        passthrough: muxPassthrough(context),
+        meta: {
+          title: (context.title || `Recording ${context.sessionId}`).slice(0, 512),
+          external_id: String(context.sessionId),
+        },
+      },
+      cors_origin: "*",
+    }),
+    signal: context.signal,
+  });
+  logDebug(`Mux upload ${upload.id} created`);
+
+  await uploadFileInChunks(upload.url, filePath, chunkSize, logDebug, context.signal);
+
+  // Wait for Mux to turn the upload into an asset
+  const assetId = await pollUntil(async () => {
+    const status = await muxApi(`/uploads/${upload.id}`, { signal: context.signal });
+    if (status.status === "errored" || status.status === "cancelled" || status.status === "timed_out") {
+      throw new Error(`Mux upload ${status.status}: ${status.error?.message || "no details"}`);
+    }
+    return status.asset_id || undefined;
+  }, { timeoutMs, label: "the Mux upload to become an asset", signal: context.signal });
+  logDebug(`Mux asset ${assetId} created, waiting for it to be ready...`);
+
+  const asset = await pollUntil(async () => {
+    const data = await muxApi(`/assets/${assetId}`, { signal: context.signal });
+    if (data.status === "errored") {
+      const messages = data.errors?.messages?.join("; ") || data.errors?.type || "no details";
+      throw new Error(`Mux asset errored: ${messages}`);
+    }
+    return data.status === "ready" ? data : undefined;
+  }, { timeoutMs, label: `Mux asset ${assetId} to be ready`, signal: context.signal });
+
+  const playbackId = asset.playback_ids?.find(p => p.policy === playbackPolicy)?.id || asset.playback_ids?.[0]?.id;
+  if (!playbackId) {
+    throw new Error(`Mux asset ${assetId} has no playback ID`);
+  }
+
+  const captionsTrack = await addMuxCaptionsTrack(assetId, context, options, logDebug);
+
+  // Signed playback IDs need a JWT appended to these URLs
+  const playbackUrl = `https://stream.mux.com/${playbackId}`;
+  return {
+    url: playbackUrl,
+    playbackUrl,
+    hlsUrl: `${playbackUrl}.m3u8`,
+    assetId,
+    playbackId,
+    playbackPolicy,
+    videoQuality: asset.video_quality || videoQuality,
+    durationSec: asset.duration,
+    thumbnailUrl: `https://image.mux.com/${playbackId}/thumbnail.jpg`,
+    gifUrl: `https://image.mux.com/${playbackId}/animated.gif`,
+    ...(captionsTrack ? { captionsTrack } : {}),
+  };
+}
+
+// Mux fetches text tracks from a URL, so captions need to be hosted first:
+// by an s3 destination earlier in the same publish, or at options.captionsUrl
+async function addMuxCaptionsTrack(assetId, context, options, logDebug) {
+  const captions = (context.sidecars || []).find(s => s.kind === "captions" && s.format === "vtt");
+  if (!captions) return null;
+
+  const url = options.captionsUrl || context.hostedSidecars?.find(s => s.path === captions.path)?.url;
+  if (!url) {
+    logDebug(`Skipping Mux captions track: no hosted URL for ${captions.path} (publish to s3 first or pass captionsUrl)`);
+    return { added: false, reason: "Captions need a hosted URL: publish to s3 as well, or pass captionsUrl" };
+  }
+
+  try {
+    const track = await muxApi(`/assets/${assetId}/tracks`, {
+      method: "POST",
+      body: JSON.stringify({
+        url,
+        type: "text",
+        text_type: "subtitles",
+        language_code: captions.language || "en",
+        name: captions.label || "English",
+        closed_captions: false,
+      }),
+    });
+    logDebug(`Added Mux captions track ${track.id}`);
+    return { added: true, trackId: track.id };
+  } catch (error) {
+    logDebug(`Failed to add Mux captions track: ${error.message}`);
+    return { added: false, reason: error.message };
+  }
+}
+
+const PUBLISHERS = {
+  local: publishLocal,
+  s3: publishS3,
+  mux: publishMux,
+};
+
+// Default when no destination is given: Mux if it's configured, else keep it local
+export function defaultDestinations() {
+  if (process.env.PUBLISH_DESTINATION) {
+    return process.env.PUBLISH_DESTINATION.split(",").map(d => d.trim()).filter(Boolean);
+  }
+  return process.env.MUX_TOKEN_ID && process.env.MUX_TOKEN_SECRET ? ["mux"] : ["local"];
+}
+
+// Normalize a destination option into a list of { type, ...options }
+export function resolveDestinations(destination) {
+  const list = destination === undefined || destination === null
+    ? defaultDestinations()
+    : Array.isArray(destination) ? destination : [destination];
+
+  return list.map(entry => {
+    const target = typeof entry === "string" ? { type: entry } : { ...entry };
+    if (!PUBLISHERS[target.type]) {
+      throw new Error(`Unknown destination "${target.type}" (expected one of: ${PUBLISH_DESTINATIONS.join(", ")})`);
+    }
+    return target;
+  });
+}
+
+// Identifies a destination across a resume: its type and settings
+export function destinationKey({ type, ...options }) {
+  return JSON.stringify({ type, ...options });
+}
+
+// The sidecars a result put where Mux can fetch them: local file: URLs don't count
+function hostedSidecars(result) {
+  return (result.sidecars || []).filter(sidecar => /^https?:/.test(sidecar.url));
+}
+
+// Publish a file, plus any context.sidecars ({ path, kind, format }), to every
+// destination. One failing target doesn't stop the others, and never loses
+// the local file. Destinations with a successful result in context.published
+// (from an earlier attempt) keep it instead of publishing again.
+export async function publishRecording(filePath, destinations, context, logDebug) {
+  const results = [];
+  const earlier = (context.published || []).filter(result => result.success);
+  const publishContext = { ...context, hostedSidecars: earlier.flatMap(hostedSidecars) };
+
+  // Storage goes first so Mux can fetch sidecars (captions) from it
+  const ordered = [...destinations].sort((a, b) => (a.type === "mux") - (b.type === "mux"));
+
+  for (const { type, ...options } of ordered) {
+    const key = destinationKey({ type, ...options });
+    const done = earlier.find(result => result.destinationKey === key);
+    if (done) {
+      logDebug(`Already published to ${type}: ${done.url}`);
+      results.push(done);
+      continue;
+    }
+
+    if (context.signal?.aborted) throw new Error("Recording cancelled");
+    logDebug(`Publishing to ${type}...`);
+    try {
+      const result = await PUBLISHERS[type](filePath, publishContext, options, logDebug);
+      publishContext.hostedSidecars.push(...hostedSidecars(result));
+      logDebug(`Published to ${type}: ${result.url}`);
+      results.push({ destination: type, destinationKey: key, success: true, ...result });
+    } catch (error) {
+      logDebug(`Publishing to ${type} failed: ${error.message}`);
+      results.push({ destination: type, destinationKey: key, success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,84 @@
+// Privacy redaction for recordings.
+//
+// A redact option names CSS selectors to hide and built-in detectors to run.
+// In the performance pass the matching regions are blurred or blacked out in
+// the page before they are filmed; in the research pass their text is
+// stripped from the accessibility snapshot before it is sent to Claude.
+
+// Patterns are kept as source strings so the page can build the same RegExps
+export const DETECTORS = {
+  email: "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}",
+  // Needs separators between digit groups, so prices, years and IDs don't match
+  phone: "(?<![\\w.])(?:\\+\\d{1,3}[\\s.-]?)?(?:\\(\\d{1,4}\\)[\\s.-]?|\\d{2,4}[\\s.-])\\d{3,4}[\\s.-]?\\d{3,4}(?![\\w.])",
+  // Prefixed keys (Stripe/OpenAI/Anthropic sk-, GitHub ghp_, AWS AKIA, Slack xox), JWTs, and long mixed tokens
+  apiKey: [
+    "\\b(?:sk|pk|rk)[-_][A-Za-z0-9_-]{16,}",
+    "\\bgh[pousr]_[A-Za-z0-9]{20,}",
+    "\\bAKIA[0-9A-Z]{16}\\b",
+    "\\bxox[abprs]-[A-Za-z0-9-]{10,}",
+    "\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}",
+    "\\b(?=[A-Za-z0-9_-]*\\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\\b",
+  ].join("|"),
+};
+
+export const REDACTION_STYLES = ["blur", "blackout"];
+
+const REPLACEMENT = "[redacted]";
+
+// A page's effective redaction: selectors add up, detectors and style override
+export function resolveRedaction(pageRedact = {}, globalRedact = {}) {
+  const selectors = [...(globalRedact.selectors || []), ...(pageRedact.selectors || [])];
+  const detect = pageRedact.detect || globalRedact.detect || [];
+  const style = pageRedact.style || globalRedact.style || "blur";
+  if (selectors.length === 0 && detect.length === 0) return null;
+  return { selectors, detect, style };
+}
+
+function checkRedaction(redact, where) {
+  if (typeof redact !== "object") {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const selector of redact.selectors || []) {
+    if (typeof selector !== "string" || !selector.trim()) {
+      throw new Error(`${where}.selectors must be non-empty CSS selectors`);
+    }
+  }
+  for (const name of redact.detect || []) {
+    if (!DETECTORS[name]) {
+      throw new Error(`${where}: unknown detector "${name}" (expected one of: ${Object.keys(DETECTORS).join(", ")})`);
+    }
+  }
+  if (redact.style !== undefined && !REDACTION_STYLES.includes(redact.style)) {
+    throw new Error(`${where}.style must be one of: ${REDACTION_STYLES.join(", ")}`);
+  }
+}
+
+// Check the recording's redact option and every page's before anything runs
+export function validateRedaction(globalRedact, pages = []) {
+  if (globalRedact !== undefined) checkRedaction(globalRedact, "redact");
+  pages.forEach((page, i) => {
+    if (page.redact !== undefined) checkRedaction(page.redact, `Page ${i + 1} redact`);
+  });
+}
+
+// One global RegExp for a set of detectors, or null
+export function detectorPattern(detect = []) {
+  const sources = detect.map(name => `(?:${DETECTORS[name]})`);
+  return sources.length > 0 ? new RegExp(sources.join("|"), "g") : null;
+}
+
+// Strip detected PII and the given strings (text of redacted elements) from text
+export function redactText(text, redaction, strings = []) {
+  if (!redaction || typeof text !== "string") return text;
+  let redacted = text;
+
+  // Longest first, so a string containing another is removed whole
+  for (const value of [...new Set(strings)].sort((a, b) => b.length - a.length)) {
+    if (value.length >= 2) redacted = redacted.split(value).join(REPLACEMENT);
+  }
+
+  const pattern = detectorPattern(redaction.detect);
+  if (pattern) redacted = redacted.replace(pattern, REPLACEMENT);
+
+  return redacted;
+}
@@ -0,0 +1,72 @@
+// Timeline scheduling for the performance pass.
+//
+// Each page's events (scrolls, highlights, actions) are due at fixed offsets
+// from the page's start. They run one at a time, in order, since a highlight
+// may depend on the scroll before it. Each waits for its own deadline rather
+// than a fixed gap after the previous one, so a slow browser command delays
+// the events behind it only until it finishes: those already due then run
+// straight away, and the timeline is back on schedule at the first event
+// that isn't due yet. Events are timestamped as they actually ran, relative
+// to the recording start; those timings go into the session manifest with the
+// page's mark, and post-processing uses them to line the video up with the
+// narration.
+
+// Never shift a page's video by more than this, whatever one slow page measured
+const MAX_SHIFT_MS = 1500;
+
+function eventTarget(event) {
+  if (event.type === "scroll") return event.scrollTo;
+  if (event.type === "action") return event.action.action;
+  return event.id;
+}
+
+// Run events at their due times. execute(event) performs one and must not
+// throw; sleep(ms) waits (and may throw to cancel). Returns what ran when.
+export async function runTimeline(events, { pageStartMs, recordingStartMs, execute, sleep, now = Date.now }) {
+  const executed = [];
+
+  for (const event of events) {
+    const waitMs = pageStartMs + event.atMs - now();
+    if (waitMs > 0) await sleep(waitMs);
+
+    const startedAt = now();
+    await execute(event);
+    const doneAt = now();
+
+    executed.push({
+      type: event.type,
+      target: eventTarget(event),
+      atMs: event.atMs,
+      dueMs: pageStartMs - recordingStartMs + event.atMs,
+      startedMs: startedAt - recordingStartMs,
+      doneMs: doneAt - recordingStartMs,
+    });
+  }
+
+  return executed;
+}
+
+// How late a page's events landed on screen: the median delay between an
+// event being due and its command finishing. The median ignores one slow
+// action (a click that navigates) but catches a consistently slow browser.
+export function timelineShift(events = []) {
+  const lags = events.map(event => Math.max(0, event.doneMs - event.dueMs)).sort((a, b) => a - b);
+  if (lags.length === 0) return 0;
+  const middle = Math.floor(lags.length / 2);
+  const median = lags.length % 2 ? lags[middle] : Math.round((lags[middle - 1] + lags[middle]) / 2);
+  return Math.min(median, MAX_SHIFT_MS);
+}
+
+// The part of the recording to use for a page, so its visuals line up with
+// its narration: start late by the page's measured shift, take the clip's
+// duration, and pad with the last frame when the footage runs out first.
+// Marks from before events were measured have no events or endMs, which
+// gives the plain mark and duration.
+export function pageWindow(mark) {
+  const shiftMs = timelineShift(mark.events);
+  const startMs = mark.offsetMs + shiftMs;
+  const availableMs = mark.endMs !== undefined ? mark.endMs - startMs : mark.durationMs;
+  // At least a few frames, so there is something to pad from
+  const takeMs = Math.max(Math.min(100, mark.durationMs), Math.min(mark.durationMs, availableMs));
+  return { startMs, durationMs: takeMs, padMs: mark.durationMs - takeMs, shiftMs };
+}
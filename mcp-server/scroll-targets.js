@@ -0,0 +1,113 @@
+// Scroll targets chosen by the narration model, checked against the page.
+//
+// Generated narration may only scroll to "top", "bottom", a percentage, a
+// page y coordinate ("1450px") or a ref from the research snapshot. A reply
+// that names anything else is repaired: a target that clearly means one ref
+// ("@e13", 'heading "Pricing"', "Pricing") becomes that ref; what's left is
+// re-prompted for, and then guessed from the segment's text.
+//
+// Refs belong to one browser session, so each ref the narration uses is also
+// described by its role, name and position (targetDescriptors). Before a page
+// is filmed, resolveRef finds the same element among the refs of the
+// recording browser's snapshot.
+
+const REF = /^e\d+$/;
+
+// Roles worth scrolling to when guessing from a segment's words
+const SECTION_ROLES = new Set(["heading", "region", "navigation", "main", "banner", "contentinfo", "complementary", "article", "form", "table", "img"]);
+
+// Whether a scroll target works on a page with these refs
+export function isScrollTarget(target, refs) {
+  if (typeof target !== "string") return false;
+  if (target === "top" || target === "bottom") return true;
+  if (/^\d+(\.\d+)?%$/.test(target) || /^\d+px$/.test(target)) return true;
+  return REF.test(target) && Boolean(refs[target]);
+}
+
+// Segments whose scroll target doesn't work on the page: [{ index, scrollTo }]
+export function unknownTargets(segments, refs) {
+  return segments
+    .map((segment, index) => ({ index, scrollTo: segment.scrollTo }))
+    .filter(({ scrollTo }) => !isScrollTarget(scrollTo, refs));
+}
+
+const sameText = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+// The ref a broken target clearly means, or null: a ref in another syntax
+// ("@e13", "[ref=e13]"), 'role "name"', or the exact name of an element
+function matchRef(target, refs) {
+  const value = String(target || "").trim();
+  const bare = value.replace(/^\[?\s*(?:ref\s*=\s*)?@?/i, "").replace(/\s*\]$/, "");
+  if (REF.test(bare) && refs[bare]) return bare;
+
+  const entries = Object.entries(refs).filter(([, info]) => info.name);
+  const labelled = value.match(/^([a-z]+)\s+["'“](.+)["'”]$/i);
+  if (labelled) {
+    const found = entries.find(([, info]) => sameText(info.role, labelled[1]) && sameText(info.name, labelled[2]));
+    if (found) return found[0];
+  }
+  const named = entries.filter(([, info]) => sameText(info.name, value.replace(/^["'“]|["'”]$/g, "")));
+  const section = named.find(([, info]) => SECTION_ROLES.has(info.role));
+  return (section || named[0])?.[0] || null;
+}
+
+// The element a segment is most likely about: the section-like element with
+// the longest name that the segment's text mentions
+function guessRef(text, refs) {
+  const spoken = (text || "").toLowerCase();
+  let best = null;
+  for (const [id, info] of Object.entries(refs)) {
+    const name = (info.name || "").trim().toLowerCase();
+    if (name.length < 3 || !SECTION_ROLES.has(info.role) || !spoken.includes(name)) continue;
+    if (!best || name.length > best.length) best = { id, length: name.length };
+  }
+  return best?.id || null;
+}
+
+// Repair the segments' broken scroll targets. Without guess, only targets
+// that clearly mean one ref are fixed; with guess, every broken target is
+// replaced: by a ref the segment's text mentions, else the previous
+// segment's target (so the page holds still), else "top".
+// Returns { segments, repairs: [{ index, from, to }] }.
+export function repairTargets(segments, refs, { guess = false } = {}) {
+  const repairs = [];
+  const repaired = [];
+  segments.forEach((segment, index) => {
+    let scrollTo = segment.scrollTo;
+    if (!isScrollTarget(scrollTo, refs)) {
+      const normalized = typeof scrollTo === "string" ? scrollTo.trim().toLowerCase() : "";
+      const fixed = isScrollTarget(normalized, refs) ? normalized : matchRef(scrollTo, refs)
+        || (guess ? guessRef(segment.text, refs) || repaired[index - 1]?.scrollTo || "top" : null);
+      if (fixed) {
+        repairs.push({ index, from: scrollTo, to: fixed });
+        scrollTo = fixed;
+      }
+    }
+    repaired.push(scrollTo === segment.scrollTo ? segment : { ...segment, scrollTo });
+  });
+  return { segments: repaired, repairs };
+}
+
+// { ref: { role, name, nth } } for the refs the segments scroll to, where nth
+// counts earlier refs with the same role and name
+export function targetDescriptors(segments, refs) {
+  const descriptors = {};
+  for (const { scrollTo } of segments) {
+    if (!REF.test(scrollTo) || !refs[scrollTo] || descriptors[scrollTo]) continue;
+    const { role, name } = refs[scrollTo];
+    const twins = Object.entries(refs).filter(([, info]) => info.role === role && info.name === name);
+    descriptors[scrollTo] = { role, name, nth: twins.findIndex(([id]) => id === scrollTo) };
+  }
+  return descriptors;
+}
+
+// The ref, among another snapshot's refs, of the element a descriptor
+// describes: the same ref if it still has the same role and name, else the
+// nth element with them (or the first). null when there's none.
+export function resolveRef(ref, descriptor, refs) {
+  if (!descriptor) return refs[ref] ? ref : null;
+  const matches = info => info.role === descriptor.role && info.name === descriptor.name;
+  if (refs[ref] && matches(refs[ref])) return ref;
+  const twins = Object.entries(refs).filter(([, info]) => matches(info));
+  return (twins[descriptor.nth] || twins[0])?.[0] || null;
+}
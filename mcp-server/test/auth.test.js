@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateAuth, literalSecrets, resolveSecrets, redactSecrets } from "../auth.js";
+
+test("literalSecrets finds secrets written out instead of referenced", () => {
+  const auth = {
+    cookies: [{ name: "sid", value: "abc123" }, { name: "ok", value: "${env:SID}" }],
+    headers: { Authorization: "Bearer xyz" },
+    httpCredentials: { username: "demo", password: "${env:PASS}" },
+    login: { url: "https://example.com", steps: [{ action: "fill", selector: "#user", value: "${env:USER}" }, { action: "type", selector: "#pw", value: "hunter22" }, { action: "click", selector: "button" }] },
+  };
+  assert.deepEqual(literalSecrets(auth), ["auth.cookies[0].value", "auth.headers.Authorization", "auth.login.steps[1].value"]);
+  assert.deepEqual(literalSecrets(undefined), []);
+});
+
+test("validateAuth refuses literal secrets, since options are saved with the session", () => {
+  assert.throws(
+    () => validateAuth({ httpCredentials: { username: "demo", password: "hunter22" } }),
+    /auth secrets must be \$\{env:NAME\} references, not literal values: auth\.httpCredentials\.password/
+  );
+  process.env.NARRATOR_TEST_PASS = "hunter22";
+  assert.doesNotThrow(() => validateAuth({ httpCredentials: { username: "demo", password: "${env:NARRATOR_TEST_PASS}" } }));
+  assert.throws(() => validateAuth({ headers: { "X-Key": "${env:NARRATOR_TEST_UNSET}" } }), /unset environment variables: NARRATOR_TEST_UNSET/);
+});
+
+test("resolved secrets are redacted", () => {
+  process.env.NARRATOR_TEST_KEY = "key-77d1e0";
+  assert.equal(resolveSecrets("Bearer ${env:NARRATOR_TEST_KEY}", { secret: true }), "Bearer key-77d1e0");
+  assert.equal(redactSecrets("sent Bearer key-77d1e0"), "sent [redacted]");
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { cacheKey, createCache, clearCache } from "../cache.js";
+
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "narrator-cache-"));
+  process.env.NARRATOR_CACHE_DIR = dir;
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("cacheKey is stable and changes with any input", () => {
+  const parts = { text: "Hello", provider: "openai", voiceId: "alloy", modelId: "tts-1" };
+  assert.equal(cacheKey(parts), cacheKey({ ...parts }));
+  assert.match(cacheKey(parts), /^[0-9a-f]{64}$/);
+  assert.notEqual(cacheKey(parts), cacheKey({ ...parts, text: "Hello!" }));
+  assert.notEqual(cacheKey(parts), cacheKey({ ...parts, voiceId: "echo" }));
+});
+
+test("a stored entry is served with its file, and counted", () => {
+  const source = join(dir, "clip.mp3");
+  const copy = join(dir, "copy.mp3");
+  writeFileSync(source, "audio");
+
+  const cache = createCache("use");
+  const key = cacheKey({ text: "a" });
+  assert.equal(cache.get("audio", key, copy), null);
+  cache.put("audio", key, { durationSec: 1.5 }, source);
+  assert.deepEqual(cache.get("audio", key, copy), { durationSec: 1.5 });
+  assert.equal(readFileSync(copy, "utf-8"), "audio");
+  assert.deepEqual(cache.stats.audio, { hits: 1, misses: 1 });
+});
+
+test("refresh skips reads but stores, and off does neither", () => {
+  const key = cacheKey({ url: "https://example.com" });
+  const refresh = createCache("refresh");
+  refresh.put("narration", key, { segments: [] });
+  assert.equal(refresh.get("narration", key), null);
+  assert.deepEqual(createCache("use").get("narration", key), { segments: [] });
+
+  const other = cacheKey({ url: "https://example.org" });
+  createCache("off").put("narration", other, { segments: [] });
+  assert.equal(createCache("use").get("narration", other), null);
+
+  assert.throws(() => createCache("sometimes"), /Unknown cache mode/);
+});
+
+test("clearCache removes entries by kind", () => {
+  createCache("use").put("narration", cacheKey({ n: 1 }), {});
+  const { removed } = clearCache("narration");
+  assert.ok(removed.narration >= 1);
+  assert.equal(removed.audio, undefined);
+  assert.throws(() => clearCache("video"), /Unknown cache kind/);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { wordsFromAlignment, buildCaptionCues, toWebVtt, toSrt } from "../captions.js";
+
+// Alignment that speaks each character in 0.1s
+function clip(text, timelineOffsetMs = 0) {
+  const characters = [...text];
+  return {
+    characters,
+    charStartTimes: characters.map((_, i) => i * 0.1),
+    charEndTimes: characters.map((_, i) => (i + 1) * 0.1),
+    timelineOffsetMs,
+  };
+}
+
+test("wordsFromAlignment splits on whitespace and applies the offset", () => {
+  const { characters, charStartTimes, charEndTimes } = clip("Hi there");
+  const words = wordsFromAlignment(characters, charStartTimes, charEndTimes, 10);
+  assert.deepEqual(words.map(w => w.text), ["Hi", "there"]);
+  assert.equal(words[0].start, 10);
+  assert.ok(Math.abs(words[1].end - 10.8) < 1e-9);
+});
+
+test("buildCaptionCues ends cues at sentences and places clips on the timeline", () => {
+  const cues = buildCaptionCues([clip("One two. Three"), clip("Four", 5000)]);
+  assert.deepEqual(cues.map(c => c.words.map(w => w.text).join(" ")), ["One two.", "Three", "Four"]);
+  assert.equal(cues[2].start, 5);
+});
+
+test("buildCaptionCues keeps cues short", () => {
+  const text = "alpha bravo charlie delta echo foxtrot golf hotel india juliet";
+  const cues = buildCaptionCues([clip(text)]);
+  assert.ok(cues.length > 1);
+  for (const cue of cues) {
+    assert.ok(cue.words.map(w => w.text).join(" ").length <= 42);
+  }
+});
+
+test("toWebVtt and toSrt format cues", () => {
+  const cues = buildCaptionCues([clip("A <b> & c.", 3723004)]);
+  const vtt = toWebVtt(cues);
+  assert.match(vtt, /^WEBVTT\n\n1\n01:02:03\.004 --> /);
+  assert.match(vtt, /A <01:02:03\.\d{3}>&lt;b&gt; <01:02:03\.\d{3}>&amp;/);
+  const srt = toSrt(cues);
+  assert.match(srt, /^1\n01:02:03,004 --> 01:02:04,004\nA <b> & c\.\n$/);
+});
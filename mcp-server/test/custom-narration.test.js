@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCustomNarration } from "../custom-narration.js";
+
+const targets = (narration, speakers) => parseCustomNarration(narration, speakers).segments.map(s => [s.text, s.scrollTo]);
+
+test("narration without cues scrolls evenly, one sentence at a time", () => {
+  assert.deepEqual(targets("One. Two! Three?"), [["One.", "top"], ["Two!", "50%"], ["Three?", "100%"]]);
+  assert.deepEqual(targets("  Just one sentence  "), [["Just one sentence", "top"]]);
+  assert.deepEqual(targets(""), []);
+});
+
+test("a cue scrolls from its sentence on and carries over to the next text", () => {
+  assert.deepEqual(
+    targets("Welcome. Our prices [scroll: @e2] are fair. Buy now. [scroll: 50%] Or later."),
+    [["Welcome.", "top"], ["Our prices are fair. Buy now.", "e2"], ["Or later.", "50%"]]
+  );
+  assert.deepEqual(targets("Look here [scroll: e2]."), [["Look here.", "e2"]]);
+});
+
+test("a cue at the end applies to the last sentence", () => {
+  assert.deepEqual(
+    targets("Welcome. Buy now. [scroll: bottom]"),
+    [["Welcome.", "top"], ["Buy now.", "bottom"]]
+  );
+  // Repeated calls aren't affected by the shared cue pattern's state
+  assert.deepEqual(targets("Only one. [scroll: #footer]"), [["Only one.", "#footer"]]);
+});
+
+test("a speaker label hands over and starts a new segment", () => {
+  const speakers = [{ name: "Sam" }, { name: "Priya" }];
+  const { segments } = parseCustomNarration("Sam: What does it cost? Priya: [scroll: #plans] Three plans. The first is free. Sam: Nice.", speakers);
+  assert.deepEqual(segments, [
+    { text: "What does it cost?", scrollTo: "top", speaker: "Sam" },
+    { text: "Three plans. The first is free.", scrollTo: "#plans", speaker: "Priya" },
+    { text: "Nice.", scrollTo: "#plans", speaker: "Sam" },
+  ]);
+});
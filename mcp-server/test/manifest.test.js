@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  createManifest, loadManifest, saveManifest, manifestPath, isPhaseComplete,
+  firstIncompletePhase, startPhase, completePhase, failPhase,
+} from "../manifest.js";
+import { RECORDING_PHASES } from "../jobs.js";
+import { resolveSecrets } from "../auth.js";
+
+test("a new manifest has every phase pending", () => {
+  const manifest = createManifest("123", "recording", { persona: "a guide" });
+  assert.equal(manifest.kind, "recording");
+  assert.equal(manifest.persona, "a guide");
+  assert.deepEqual(Object.keys(manifest.phases), RECORDING_PHASES);
+  assert.equal(firstIncompletePhase(manifest), "research");
+});
+
+test("phases move from running to complete or failed, and resume from the first unfinished", () => {
+  const manifest = createManifest("123", "recording");
+  startPhase(manifest, "research");
+  completePhase(manifest, "research", { pageData: [{ url: "https://example.com" }] });
+  assert.equal(isPhaseComplete(manifest, "research"), true);
+  assert.deepEqual(manifest.pageData, [{ url: "https://example.com" }]);
+
+  startPhase(manifest, "audio");
+  failPhase(manifest, new Error("TTS quota exceeded"));
+  assert.equal(manifest.phases.audio.status, "failed");
+  assert.equal(manifest.phases.audio.error, "TTS quota exceeded");
+  assert.equal(firstIncompletePhase(manifest), "audio");
+
+  for (const phase of RECORDING_PHASES.slice(1)) completePhase(manifest, phase);
+  assert.equal(firstIncompletePhase(manifest), null);
+});
+
+test("manifests round-trip through the session directory", () => {
+  const dir = mkdtempSync(join(tmpdir(), "narrator-session-"));
+  try {
+    assert.throws(() => loadManifest(dir), /No manifest\.json/);
+    const manifest = createManifest("123", "draft", { pages: [{ url: "https://example.com" }] });
+    saveManifest(dir, manifest);
+    assert.deepEqual(loadManifest(dir), manifest);
+
+    writeFileSync(manifestPath(dir), JSON.stringify({ ...manifest, version: 99 }));
+    assert.throws(() => loadManifest(dir), /Unsupported manifest version 99/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("failed phases are saved with resolved secrets redacted", () => {
+  process.env.NARRATOR_TEST_TOKEN = "tok-5f8a2c91";
+  resolveSecrets("${env:NARRATOR_TEST_TOKEN}", { secret: true });
+  const manifest = createManifest("123", "recording");
+  startPhase(manifest, "upload");
+  failPhase(manifest, new Error("401 for token tok-5f8a2c91"));
+  assert.equal(manifest.phases.upload.error, "401 for token [redacted]");
+});
+
+test("a saved manifest keeps auth references and never a resolved secret", () => {
+  const dir = mkdtempSync(join(tmpdir(), "narrator-session-"));
+  try {
+    process.env.NARRATOR_TEST_PASSWORD = "pw-93be71d0";
+    resolveSecrets("${env:NARRATOR_TEST_PASSWORD}", { secret: true });
+    const auth = { login: { url: "https://example.com/login", steps: [{ action: "fill", selector: "#password", value: "${env:NARRATOR_TEST_PASSWORD}" }] } };
+    const manifest = createManifest("123", "recording", {
+      options: { auth },
+      pageData: [{ url: "https://example.com/?session=pw-93be71d0", snapshot: "Signed in with pw-93be71d0" }],
+    });
+    saveManifest(dir, manifest);
+
+    const saved = readFileSync(manifestPath(dir), "utf-8");
+    assert.equal(saved.includes("pw-93be71d0"), false);
+    assert.deepEqual(loadManifest(dir).options.auth, auth);
+    assert.equal(loadManifest(dir).pageData[0].snapshot, "Signed in with [redacted]");
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateNarrator, narratorSettings, promptCacheFields, narrationPrompt, narrationProblem, DEFAULT_PROMPT_TEMPLATE } from "../narration-prompt.js";
+
+delete process.env.NARRATION_PROMPT_TEMPLATE;
+delete process.env.NARRATION_PROVIDER;
+
+test("narratorSettings fills in segment bounds, word budget and tokens", () => {
+  const defaults = narratorSettings();
+  assert.equal(defaults.template, DEFAULT_PROMPT_TEMPLATE);
+  assert.deepEqual([defaults.minSegments, defaults.maxSegments, defaults.strictSegments], [3, 5, false]);
+  assert.equal(defaults.maxTokens, 800);
+
+  const dialogue = narratorSettings({}, { speakers: [{ name: "Ada" }, { name: "Bo" }] });
+  assert.deepEqual([dialogue.minSegments, dialogue.maxSegments], [4, 8]);
+
+  const timed = narratorSettings({ targetDurationSec: 20, minSegments: 7 });
+  assert.deepEqual([timed.minSegments, timed.maxSegments, timed.strictSegments], [7, 7, true]);
+  assert.equal(timed.wordBudget, 50);
+  assert.equal(narratorSettings({ wordBudget: 400 }).maxTokens, 1200);
+});
+
+test("validateNarrator rejects settings that can't work", () => {
+  assert.doesNotThrow(() => validateNarrator(undefined));
+  assert.doesNotThrow(() => validateNarrator({ provider: "openai", model: "llama3", minSegments: 2, maxSegments: 4, tone: "warm" }));
+  assert.throws(() => validateNarrator({ provider: "gemini" }), /Unknown narration provider/);
+  assert.throws(() => validateNarrator({ minSegments: 6, maxSegments: 2 }), /can't be more than/);
+  assert.throws(() => validateNarrator({ wordBudget: 100, targetDurationSec: 30 }), /either narrator\.wordBudget or narrator\.targetDurationSec/);
+  assert.throws(() => validateNarrator({ promptTemplate: "Describe {{page}}" }), /unknown placeholder \{\{page\}\}/);
+  assert.throws(() => validateNarrator({ maxTokens: 10 }), /maxTokens must be a whole number/);
+});
+
+test("narrationPrompt fills the template's placeholders", () => {
+  const settings = narratorSettings({ promptTemplate: "{{persona}} on {{url}} in {{wordBudget}} words for {{audience}}", wordBudget: 60, audience: "developers" });
+  assert.equal(
+    narrationPrompt(settings, { persona: "A guide", url: "https://example.com", snapshot: "", refs: "" }),
+    "A guide on https://example.com in 60 words for developers"
+  );
+
+  const prompt = narrationPrompt(narratorSettings({ tone: "playful" }), { persona: "A guide", url: "https://example.com", snapshot: "- heading", refs: "e1: heading", language: "de" });
+  assert.match(prompt, /Your persona: A guide/);
+  assert.match(prompt, /- Tone: playful/);
+  assert.match(prompt, /Write all narration in German \(de\)/);
+});
+
+test("promptCacheFields only changes the cache key when the prompt does", () => {
+  assert.equal(promptCacheFields(narratorSettings()), undefined);
+  assert.deepEqual(promptCacheFields(narratorSettings({ tone: "dry" })), {
+    template: undefined, segments: undefined, wordBudget: undefined, audience: undefined, tone: "dry", goal: undefined,
+  });
+});
+
+test("narrationProblem explains why a reply is unusable", () => {
+  const settings = narratorSettings();
+  const ok = { segments: [{ text: "Welcome.", scrollTo: "top" }] };
+  assert.equal(narrationProblem(ok, settings), null);
+  assert.equal(narrationProblem({}, settings), "no segments");
+  assert.equal(narrationProblem({ segments: [{ text: " ", scrollTo: "top" }] }, settings), "segment 1 has no text");
+  assert.equal(narrationProblem({ segments: [{ text: "Hi" }] }, settings), "segment 1 has no scrollTo");
+
+  const speakers = [{ name: "Ada" }];
+  assert.equal(narrationProblem({ segments: [{ text: "Hi", scrollTo: "top", speaker: "Bo" }] }, settings, { speakers }), 'segment 1 has an unknown speaker "Bo"');
+  assert.equal(narrationProblem(ok, narratorSettings({ minSegments: 2 })), "1 segments, expected 2-5 segments");
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validatePageActions } from "../page-actions.js";
+
+const page = (...actions) => ({ url: "https://example.com", actions });
+
+test("validatePageActions accepts well-formed actions", () => {
+  assert.doesNotThrow(() => validatePageActions([
+    { url: "https://example.com" },
+    page(
+      { action: "fill", selector: "#email", value: "${env:DEMO_EMAIL}" },
+      { action: "press", key: "Enter", research: false },
+      { action: "wait", load: "networkidle", timeout: 10 },
+      { action: "wait", ms: 500 }
+    ),
+  ]));
+});
+
+test("validatePageActions names the page and action that is wrong", () => {
+  assert.throws(() => validatePageActions([page({ action: "scroll" })]), /Page 1 action 1: unknown action "scroll"/);
+  assert.throws(() => validatePageActions([{}, page({ action: "click" })]), /Page 2 action 1: click needs a ref or selector/);
+  assert.throws(() => validatePageActions([page({ action: "fill", ref: "e3" })]), /fill needs a value/);
+  assert.throws(() => validatePageActions([page({ action: "press" })]), /press needs a key/);
+  assert.throws(() => validatePageActions([page({ action: "wait", load: "idle" })]), /\.load must be one of/);
+  assert.throws(() => validatePageActions([page({ action: "wait", ms: -1 })]), /\.ms must be a number/);
+  assert.throws(() => validatePageActions([page({ action: "hover", ref: "e1" }, { action: "click", ref: "e2", research: "no" })]), /Page 1 action 2\.research must be true or false/);
+  assert.throws(() => validatePageActions([{ actions: {} }]), /Page 1 actions must be an array/);
+});
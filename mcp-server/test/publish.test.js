@@ -0,0 +1,194 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { resolveDestinations, publishRecording } from "../publish.js";
+
+const S3 = "http://s3.test";
+const MUX = "https://api.mux.com/video/v1";
+const UPLOAD = "https://upload.test/up1";
+
+let dir;
+let video;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "narrator-publish-"));
+  video = join(dir, "output.mp4");
+  writeFileSync(video, Buffer.alloc(600 * 1024, 1));
+  Object.assign(process.env, { S3_ENDPOINT: S3, S3_BUCKET: "demos", S3_ACCESS_KEY_ID: "AKIDEXAMPLE", S3_SECRET_ACCESS_KEY: "secret", MUX_TOKEN_ID: "id", MUX_TOKEN_SECRET: "secret" });
+  delete process.env.PUBLISH_DESTINATION;
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+afterEach(() => mock.restoreAll());
+
+// Stands in for the storage and Mux services: records each request and
+// keeps track of how much of the direct upload Mux has stored. partialChunk
+// stores only half of the first chunk; onChunk runs as each chunk arrives;
+// processing keeps the upload from becoming an asset, and onPoll runs as its
+// status is checked.
+function fakeServices({ failS3 = false, partialChunk = false, onChunk, processing = false, onPoll } = {}) {
+  const requests = [];
+  let stored = 0;
+  const uploadStatus = (size) => stored >= size
+    ? new Response(null, { status: 200 })
+    : new Response(null, { status: 308, headers: stored > 0 ? { Range: `bytes=0-${stored - 1}` } : {} });
+
+  mock.method(globalThis, "fetch", async (url, init = {}) => {
+    url = String(url);
+    const method = init.method || "GET";
+    const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+    const size = init.body ? (await new Response(init.body).arrayBuffer()).byteLength : 0;
+    requests.push({ method, url, headers, size, json: typeof init.body === "string" ? JSON.parse(init.body) : undefined });
+    const json = (data) => Response.json({ data });
+
+    if (url.startsWith(S3)) return new Response(failS3 ? "AccessDenied" : null, { status: failS3 ? 403 : 200 });
+    if (url === `${MUX}/uploads` && method === "POST") return json({ id: "up1", url: UPLOAD });
+    if (url === `${MUX}/uploads/up1`) {
+      onPoll?.();
+      return json(processing ? { status: "waiting" } : { status: "asset_created", asset_id: "as1" });
+    }
+    if (url === `${MUX}/assets/as1/tracks`) return json({ id: "tr1" });
+    if (url === `${MUX}/assets/as1`) return json({ status: "ready", duration: 12.5, playback_ids: [{ id: "pb1" }] });
+    if (url === UPLOAD) {
+      const [, start, end, total] = headers["content-range"].match(/bytes (?:(\d+)-(\d+)|\*)\/(\d+)/);
+      if (start !== undefined && Number(start) <= stored) {
+        onChunk?.();
+        const half = partialChunk && stored === 0;
+        stored = Math.max(stored, half ? Math.floor((Number(end) + 1) / 2) : Number(end) + 1);
+      }
+      return uploadStatus(Number(total));
+    }
+    return new Response("not found", { status: 404 });
+  });
+  return requests;
+}
+
+const noLog = () => {};
+
+test("resolveDestinations normalizes names and objects", () => {
+  assert.deepEqual(resolveDestinations("s3"), [{ type: "s3" }]);
+  assert.deepEqual(resolveDestinations(["local", { type: "s3", prefix: "team/" }]), [{ type: "local" }, { type: "s3", prefix: "team/" }]);
+  assert.throws(() => resolveDestinations("ftp"), /Unknown destination "ftp"/);
+});
+
+test("local publishing returns the file's URL", async () => {
+  const [result] = await publishRecording(video, resolveDestinations("local"), { sessionId: "42" }, noLog);
+  assert.equal(result.success, true);
+  assert.equal(result.url, pathToFileURL(video).href);
+});
+
+test("s3 publishing streams a signed PUT to the session's key and returns a presigned URL", async () => {
+  const requests = fakeServices();
+  const [result] = await publishRecording(video, resolveDestinations("s3"), { sessionId: "42" }, noLog);
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.key, "agent-recordings/session-42/output.mp4");
+  const put = requests.find(r => r.method === "PUT");
+  assert.equal(put.url, `${S3}/demos/agent-recordings/session-42/output.mp4`);
+  assert.equal(put.size, 600 * 1024);
+  // Streamed from disk, so the payload isn't hashed up front
+  assert.equal(put.headers["x-amz-content-sha256"], "UNSIGNED-PAYLOAD");
+  assert.equal(put.headers["content-length"], String(600 * 1024));
+  assert.match(put.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=[a-z0-9;-]+, Signature=[0-9a-f]{64}$/);
+  assert.match(result.url, /X-Amz-Signature=[0-9a-f]{64}/);
+});
+
+test("a failing destination is reported without stopping the others", async () => {
+  fakeServices({ failS3: true });
+  const results = await publishRecording(video, resolveDestinations(["s3", "local"]), { sessionId: "42" }, noLog);
+  assert.deepEqual(results.map(r => [r.destination, r.success]), [["s3", false], ["local", true]]);
+  assert.match(results[0].error, /403/);
+});
+
+test("mux publishing uploads aligned chunks and waits for the asset", async () => {
+  const requests = fakeServices();
+  const [result] = await publishRecording(video, [{ type: "mux", chunkSizeMb: 0.25 }], { sessionId: "42" }, noLog);
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.playbackUrl, "https://stream.mux.com/pb1");
+  assert.equal(result.assetId, "as1");
+  const chunks = requests.filter(r => r.url === UPLOAD && r.size > 0);
+  assert.deepEqual(chunks.map(r => r.headers["content-range"]), [
+    "bytes 0-262143/614400",
+    "bytes 262144-524287/614400",
+    "bytes 524288-614399/614400",
+  ]);
+  // Each 308 says where to carry on, so no status requests are needed
+  assert.equal(requests.filter(r => r.url === UPLOAD && r.size === 0).length, 0);
+});
+
+test("mux publishing resumes from what the upload stored, not what was sent", async () => {
+  const requests = fakeServices({ partialChunk: true });
+  const [result] = await publishRecording(video, [{ type: "mux", chunkSizeMb: 0.25 }], { sessionId: "42" }, noLog);
+
+  assert.equal(result.success, true, result.error);
+  const chunks = requests.filter(r => r.url === UPLOAD && r.size > 0);
+  assert.deepEqual(chunks.map(r => r.headers["content-range"]), [
+    "bytes 0-262143/614400",
+    "bytes 131072-393215/614400",
+    "bytes 393216-614399/614400",
+  ]);
+});
+
+test("cancelling stops a mux upload between chunks", async () => {
+  const controller = new AbortController();
+  const requests = fakeServices({ onChunk: () => controller.abort() });
+  const [result] = await publishRecording(video, [{ type: "mux", chunkSizeMb: 0.25 }], { sessionId: "42", signal: controller.signal }, noLog);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Recording cancelled");
+  assert.equal(requests.filter(r => r.url === UPLOAD).length, 1);
+});
+
+test("a resumed publish keeps earlier successes and retries only the failures", async () => {
+  fakeServices({ failS3: true });
+  const destinations = resolveDestinations(["s3", { type: "mux", chunkSizeMb: 0.25 }]);
+  const first = await publishRecording(video, destinations, { sessionId: "42" }, noLog);
+  assert.deepEqual(first.map(r => r.success), [false, true]);
+  mock.restoreAll();
+
+  const requests = fakeServices();
+  const second = await publishRecording(video, destinations, { sessionId: "42", published: first }, noLog);
+  assert.deepEqual(second.map(r => [r.destination, r.success]), [["s3", true], ["mux", true]]);
+  assert.equal(second[0].key, "agent-recordings/session-42/output.mp4");
+  assert.equal(second[1], first[1]);
+  assert.ok(requests.every(r => r.url.startsWith(S3)));
+
+  // Every destination already done: nothing is sent
+  mock.restoreAll();
+  const none = fakeServices();
+  await publishRecording(video, destinations, { sessionId: "42", published: second }, noLog);
+  assert.equal(none.length, 0);
+});
+
+test("cancelling stops waiting for mux without finishing the poll's wait", async () => {
+  const controller = new AbortController();
+  const requests = fakeServices({ processing: true, onPoll: () => setTimeout(() => controller.abort(), 50) });
+  const started = Date.now();
+  const [result] = await publishRecording(video, [{ type: "mux", chunkSizeMb: 0.25 }], { sessionId: "42", signal: controller.signal }, noLog);
+
+  assert.equal(result.error, "Recording cancelled");
+  assert.ok(Date.now() - started < 900, "the 1s poll interval was cut short");
+  assert.equal(requests.filter(r => r.url === `${MUX}/uploads/up1`).length, 1);
+});
+
+test("mux fetches captions from storage, never from a local file URL", async () => {
+  const captionsPath = join(dir, "output.vtt");
+  writeFileSync(captionsPath, "WEBVTT\n");
+  const sidecars = [{ path: captionsPath, kind: "captions", format: "vtt" }];
+  const destinations = resolveDestinations(["local", { type: "mux", chunkSizeMb: 0.25 }, "s3"]);
+
+  const requests = fakeServices();
+  const results = await publishRecording(video, destinations, { sessionId: "42", sidecars }, noLog);
+  assert.deepEqual(results.map(r => [r.destination, r.success]), [["local", true], ["s3", true], ["mux", true]]);
+  const track = requests.find(r => r.url === `${MUX}/assets/as1/tracks`);
+  assert.match(track.json.url, /^http:\/\/s3\.test\/demos\/agent-recordings\/session-42\/output\.vtt\?/);
+
+  // Published locally only, Mux is told the captions have no hosted URL
+  mock.restoreAll();
+  const local = fakeServices();
+  const [, mux] = await publishRecording(video, resolveDestinations(["local", { type: "mux", chunkSizeMb: 0.25 }]), { sessionId: "42", sidecars }, noLog);
+  assert.equal(mux.captionsTrack.added, false);
+  assert.equal(local.some(r => r.url.endsWith("/tracks")), false);
+});
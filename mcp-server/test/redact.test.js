@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRedaction, validateRedaction, redactText } from "../redact.js";
+
+test("resolveRedaction adds selectors and lets the page override detectors and style", () => {
+  assert.equal(resolveRedaction({}, {}), null);
+  assert.deepEqual(
+    resolveRedaction({ selectors: [".card"], style: "blackout" }, { selectors: [".email"], detect: ["email"] }),
+    { selectors: [".email", ".card"], detect: ["email"], style: "blackout" }
+  );
+  assert.deepEqual(resolveRedaction({ detect: ["phone"] }, { detect: ["email"] }).detect, ["phone"]);
+});
+
+test("validateRedaction rejects unknown detectors, styles and empty selectors", () => {
+  assert.throws(() => validateRedaction({ detect: ["ssn"] }), /unknown detector "ssn"/);
+  assert.throws(() => validateRedaction({ style: "pixelate" }), /style must be one of/);
+  assert.throws(() => validateRedaction(undefined, [{ redact: { selectors: [" "] } }]), /Page 1 redact\.selectors/);
+  assert.doesNotThrow(() => validateRedaction({ selectors: ["#user"], detect: ["email", "apiKey"], style: "blur" }));
+});
+
+test("redactText strips detected emails, phone numbers and keys", () => {
+  const redaction = { selectors: [], detect: ["email", "phone", "apiKey"] };
+  assert.equal(
+    redactText("Mail ada@example.com or call +1 415-555-0132", redaction),
+    "Mail [redacted] or call [redacted]"
+  );
+  assert.equal(redactText("key sk-abcdefghijklmnop1234", redaction), "key [redacted]");
+  // Prices, years and plain IDs are left alone
+  assert.equal(redactText("$1299 in 2024, order 123456", redaction), "$1299 in 2024, order 123456");
+});
+
+test("redactText removes the text of redacted elements, longest first", () => {
+  const redaction = { selectors: [".name"], detect: [] };
+  assert.equal(redactText("Ada Lovelace and Ada", redaction, ["Ada", "Ada Lovelace"]), "[redacted] and [redacted]");
+  assert.equal(redactText("text", null, ["text"]), "text");
+});
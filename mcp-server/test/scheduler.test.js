@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runTimeline, timelineShift, pageWindow } from "../scheduler.js";
+
+// A clock that only moves when the timeline sleeps or an event takes time
+function fakeClock(start = 1000) {
+  let time = start;
+  return { now: () => time, advance: (ms) => (time += ms) };
+}
+
+test("runTimeline runs events at their due times and records when they ran", async () => {
+  const clock = fakeClock();
+  const ran = [];
+  const events = await runTimeline(
+    [{ type: "scroll", atMs: 0, scrollTo: "top" }, { type: "highlight", atMs: 500, id: "h1" }],
+    {
+      pageStartMs: 1000,
+      recordingStartMs: 0,
+      now: clock.now,
+      sleep: async (ms) => clock.advance(ms),
+      execute: async (event) => {
+        ran.push([event.type, clock.now()]);
+        clock.advance(100);
+      },
+    }
+  );
+  assert.deepEqual(ran, [["scroll", 1000], ["highlight", 1500]]);
+  assert.deepEqual(events.map(e => [e.target, e.dueMs, e.startedMs, e.doneMs]), [["top", 1000, 1000, 1100], ["h1", 1500, 1500, 1600]]);
+});
+
+test("runTimeline catches up after a slow event instead of pushing later ones back", async () => {
+  const clock = fakeClock(0);
+  const started = [];
+  await runTimeline(
+    [{ type: "action", atMs: 0, action: { action: "click" } }, { type: "scroll", atMs: 300, scrollTo: "e1" }, { type: "scroll", atMs: 2000, scrollTo: "e2" }],
+    {
+      pageStartMs: 0,
+      recordingStartMs: 0,
+      now: clock.now,
+      sleep: async (ms) => clock.advance(ms),
+      execute: async (event) => {
+        started.push(clock.now());
+        clock.advance(event.type === "action" ? 1000 : 10);
+      },
+    }
+  );
+  // The overdue scroll runs right after the slow click; the last is on time
+  assert.deepEqual(started, [0, 1000, 2000]);
+});
+
+test("timelineShift is the median lateness, capped", () => {
+  assert.equal(timelineShift([]), 0);
+  const events = [100, 200, 5000].map(lag => ({ dueMs: 0, doneMs: lag }));
+  assert.equal(timelineShift(events), 200);
+  assert.equal(timelineShift([{ dueMs: 0, doneMs: 4000 }]), 1500);
+  assert.equal(timelineShift([{ dueMs: 500, doneMs: 400 }]), 0);
+});
+
+test("pageWindow shifts by the lateness and pads footage that runs short", () => {
+  assert.deepEqual(pageWindow({ offsetMs: 1000, durationMs: 5000 }), { startMs: 1000, durationMs: 5000, padMs: 0, shiftMs: 0 });
+  const mark = { offsetMs: 1000, durationMs: 5000, endMs: 5800, events: [{ dueMs: 1000, doneMs: 1300 }] };
+  assert.deepEqual(pageWindow(mark), { startMs: 1300, durationMs: 4500, padMs: 500, shiftMs: 300 });
+});
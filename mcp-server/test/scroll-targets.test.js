@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isScrollTarget, unknownTargets, repairTargets, targetDescriptors, resolveRef } from "../scroll-targets.js";
+
+const refs = {
+  e1: { role: "heading", name: "Welcome" },
+  e2: { role: "heading", name: "Pricing" },
+  e3: { role: "link", name: "Pricing" },
+  e4: { role: "button", name: "Buy" },
+  e5: { role: "button", name: "Buy" },
+};
+
+test("isScrollTarget accepts positions and known refs only", () => {
+  for (const target of ["top", "bottom", "50%", "12.5%", "1450px", "e2"]) {
+    assert.equal(isScrollTarget(target, refs), true, target);
+  }
+  for (const target of ["e99", "#pricing", "middle", "", null]) {
+    assert.equal(isScrollTarget(target, refs), false, String(target));
+  }
+});
+
+test("unknownTargets lists the segments that need repair", () => {
+  const segments = [{ scrollTo: "top" }, { scrollTo: "@e2" }, { scrollTo: "e1" }];
+  assert.deepEqual(unknownTargets(segments, refs), [{ index: 1, scrollTo: "@e2" }]);
+});
+
+test("repairTargets fixes targets that clearly mean one ref", () => {
+  const segments = [
+    { text: "Hi", scrollTo: "TOP" },
+    { text: "Prices", scrollTo: "@e2" },
+    { text: "More", scrollTo: 'heading "Welcome"' },
+    { text: "Costs", scrollTo: "Pricing" },
+    { text: "?", scrollTo: "#nowhere" },
+  ];
+  const { segments: repaired, repairs } = repairTargets(segments, refs);
+  assert.deepEqual(repaired.map(s => s.scrollTo), ["top", "e2", "e1", "e2", "#nowhere"]);
+  assert.equal(repairs.length, 4);
+  assert.equal(repaired[4], segments[4]);
+});
+
+test("repairTargets with guess uses the segment's words, then the previous target", () => {
+  const segments = [
+    { text: "Let's look at pricing", scrollTo: "#a" },
+    { text: "Nothing named here", scrollTo: "#b" },
+  ];
+  assert.deepEqual(repairTargets(segments, refs, { guess: true }).segments.map(s => s.scrollTo), ["e2", "e2"]);
+  assert.equal(repairTargets([{ text: "", scrollTo: "#c" }], refs, { guess: true }).segments[0].scrollTo, "top");
+});
+
+test("targetDescriptors and resolveRef find the same element in another snapshot", () => {
+  const descriptors = targetDescriptors([{ scrollTo: "top" }, { scrollTo: "e5" }, { scrollTo: "e2" }], refs);
+  assert.deepEqual(descriptors, {
+    e5: { role: "button", name: "Buy", nth: 1 },
+    e2: { role: "heading", name: "Pricing", nth: 0 },
+  });
+
+  const other = {
+    e1: { role: "button", name: "Buy" },
+    e2: { role: "button", name: "Buy" },
+    e7: { role: "heading", name: "Pricing" },
+  };
+  assert.equal(resolveRef("e5", descriptors.e5, other), "e2");
+  assert.equal(resolveRef("e2", descriptors.e2, other), "e7");
+  assert.equal(resolveRef("e9", { role: "img", name: "Chart", nth: 0 }, other), null);
+  assert.equal(resolveRef("e1", undefined, other), "e1");
+});
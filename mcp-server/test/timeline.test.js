@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPhraseTiming, resolveHighlight, buildPageTimeline, calculateSegmentTimings } from "../timeline.js";
+
+// A clip whose alignment speaks each entry in 0.1s
+function clip(characters, extra = {}) {
+  return {
+    clipNum: 1,
+    durationMs: characters.length * 100,
+    characters,
+    charStartTimes: characters.map((_, i) => i / 10),
+    charEndTimes: characters.map((_, i) => (i + 1) / 10),
+    segmentTimings: [],
+    ...extra,
+  };
+}
+
+const noLog = () => {};
+
+test("findPhraseTiming matches case-insensitively and spans the phrase", () => {
+  const timing = findPhraseTiming("PRICING table", clip([..."See the pricing table"]));
+  assert.deepEqual(timing, { startSec: 0.8, endSec: 2.1 });
+  assert.equal(findPhraseTiming("missing", clip([..."See the pricing table"])), null);
+  assert.equal(findPhraseTiming("", clip([..."text"])), null);
+});
+
+test("findPhraseTiming treats the phrase literally", () => {
+  assert.deepEqual(findPhraseTiming("$9.99 (monthly)", clip([..."Only $9.99 (monthly)."])), { startSec: 0.5, endSec: 2 });
+  assert.equal(findPhraseTiming("9.99", clip([..."Only 9x99"])), null);
+});
+
+test("findPhraseTiming maps the match back to alignment entries", () => {
+  // Lower-casing "İ" adds a character, and an emoji is one entry but two UTF-16 units
+  assert.deepEqual(findPhraseTiming("cart", clip([..."İ 🛒 cart"])), { startSec: 0.4, endSec: 0.8 });
+  // Entries may hold more than one character
+  assert.deepEqual(findPhraseTiming("world", clip(["Hel", "lo ", "wor", "ld"])), { startSec: 0.2, endSec: 0.4 });
+});
+
+test("resolveHighlight merges defaults and draws a shape without a selector", () => {
+  assert.deepEqual(resolveHighlight({ onText: "a", selector: "#a" }, { linger: 2 }, { style: "glow" }), { style: "glow", linger: 2, onText: "a", selector: "#a" });
+  assert.equal(resolveHighlight({ x: 1, y: 2 }).style, "rectangle");
+  assert.equal(resolveHighlight({ x: 1, y: 2, radius: 5 }).style, "circle");
+});
+
+test("buildPageTimeline orders scrolls, highlights and actions by when they're spoken", () => {
+  const narration = clip([..."Start here then click buy"], {
+    segmentTimings: [{ startTimeMs: 0, scrollTo: "top" }, { startTimeMs: 1100, scrollTo: "e2" }],
+  });
+  const page = {
+    highlights: [{ onText: "then", selector: "#then", linger: 0.5 }, { onText: "nowhere", selector: "#x" }],
+    actions: [{ action: "click", selector: "#buy", onText: "click buy" }, { action: "wait", ms: 100 }],
+  };
+  const logged = [];
+  const events = buildPageTimeline(narration, page, {}, message => logged.push(message), { e2: "e7" });
+
+  assert.deepEqual(events.map(e => [e.type, e.atMs]), [
+    ["scroll", 0],
+    ["scroll", 1100],
+    ["highlight", 1100],
+    ["action", 1600],
+    ["action", 1600],
+    ["unhighlight", 2000],
+  ]);
+  assert.equal(events[1].scrollTo, "e7");
+  assert.match(logged[0], /phrase "nowhere" not found/);
+});
+
+test("calculateSegmentTimings counts code points, like the alignment", () => {
+  const segments = [{ text: "Hi 🛒", scrollTo: "top" }, { text: "Buy", scrollTo: "e2" }];
+  const characters = [..."Hi 🛒 Buy"];
+  const timings = calculateSegmentTimings(segments, characters.map((_, i) => i / 10), characters);
+  assert.deepEqual(timings.map(t => [t.scrollTo, t.startTimeMs, t.endTimeMs]), [["top", 0, 400], ["e2", 500, 700]]);
+});
@@ -0,0 +1,25 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { estimateAlignment, resolveVoice, speechCacheFields } from "../tts.js";
+
+beforeEach(() => {
+  for (const name of ["TTS_PROVIDER", "OPENAI_TTS_BASE_URL", "OPENAI_TTS_MODEL", "OPENAI_TTS_VOICE"]) delete process.env[name];
+});
+
+test("estimateAlignment has one entry per code point and spans the clip", () => {
+  const { characters, charStartTimes, charEndTimes } = estimateAlignment("Hi 🛒. Ok", 2);
+  assert.deepEqual(characters, ["H", "i", " ", "🛒", ".", " ", "O", "k"]);
+  assert.equal(charStartTimes.length, characters.length);
+  assert.equal(charStartTimes[0], 0);
+  assert.ok(Math.abs(charEndTimes[charEndTimes.length - 1] - 2) < 1e-9);
+  // The full stop pauses longer than a letter
+  assert.ok(charEndTimes[4] - charStartTimes[4] > charEndTimes[0] - charStartTimes[0]);
+});
+
+test("speechCacheFields tells OpenAI-compatible servers apart", () => {
+  const voice = resolveVoice({ provider: "openai" });
+  assert.equal(speechCacheFields(voice), undefined);
+  process.env.OPENAI_TTS_BASE_URL = "http://localhost:8880/v1/";
+  assert.deepEqual(speechCacheFields(voice), { baseUrl: "http://localhost:8880/v1" });
+  assert.equal(speechCacheFields(resolveVoice({ provider: "local" })), undefined);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, request } from "http";
+import { isPrivateAddress, checkUrl, startPolicyProxy } from "../url-policy.js";
+
+const policy = (overrides = {}) => ({ schemes: ["http", "https"], allowHosts: [], denyHosts: [], allowPrivate: false, ...overrides });
+
+// A GET through the proxy: { status, body }
+function getViaProxy(proxyUrl, url) {
+  const proxy = new URL(proxyUrl);
+  return new Promise((resolve, reject) => {
+    const req = request({ host: proxy.hostname, port: proxy.port, path: url, headers: { host: new URL(url).host } }, (res) => {
+      let body = "";
+      res.on("data", chunk => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("isPrivateAddress covers loopback, private, link-local and mapped addresses", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:a00:1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "100.128.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("checkUrl enforces schemes and host lists", async () => {
+  await assert.rejects(checkUrl("file:///etc/passwd", policy()), /file: URLs are blocked/);
+  await assert.rejects(checkUrl("not a url", policy()), /Invalid URL/);
+  await assert.rejects(checkUrl("http://8.8.8.8/", policy({ denyHosts: ["8.8.8.8"] })), /deny list/);
+  await assert.rejects(checkUrl("http://evil.test/", policy({ allowHosts: ["*.example.com"], allowPrivate: true })), /not on the allow list/);
+  assert.equal(await checkUrl("http://docs.example.com/", policy({ allowHosts: ["*.example.com"], allowPrivate: true })), null);
+  assert.equal(await checkUrl("about:blank", policy({ schemes: ["about"] })), null);
+});
+
+test("checkUrl refuses private addresses unless allowed, and returns the checked address", async () => {
+  await assert.rejects(checkUrl("http://127.0.0.1:8080/", policy()), /127\.0\.0\.1 is a private address/);
+  await assert.rejects(checkUrl("http://[::1]/", policy()), /private address/);
+  assert.equal(await checkUrl("http://8.8.8.8/", policy()), "8.8.8.8");
+  assert.equal(await checkUrl("http://127.0.0.1/", policy({ allowPrivate: true })), null);
+});
+
+test("the proxy blocks requests the policy refuses", async () => {
+  const blocked = [];
+  const proxy = await startPolicyProxy({ policy: policy(), onBlocked: (url, message) => blocked.push({ url, message }) });
+  try {
+    const response = await getViaProxy(proxy.url, "http://127.0.0.1:9/secret");
+    assert.equal(response.status, 403);
+    assert.equal(blocked.length, 1);
+    assert.match(blocked[0].message, /private address/);
+  } finally {
+    await proxy.close();
+  }
+});
+
+test("the proxy forwards allowed requests", async () => {
+  const server = createServer((req, res) => res.end(`${req.url} ${req.headers.host}`));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const proxy = await startPolicyProxy({ policy: policy({ allowPrivate: true }) });
+  try {
+    const target = `http://127.0.0.1:${server.address().port}/page?q=1`;
+    const response = await getViaProxy(proxy.url, target);
+    assert.equal(response.status, 200);
+    assert.equal(response.body, `/page?q=1 127.0.0.1:${server.address().port}`);
+  } finally {
+    await proxy.close();
+    server.close();
+  }
+});
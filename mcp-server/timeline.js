@@ -0,0 +1,125 @@
+// Page timelines: when each scroll, highlight and action happens, from the
+// narration clip's character alignment.
+
+const COORDINATE_HIGHLIGHT_STYLES = ["circle", "rectangle"];
+const BUILTIN_HIGHLIGHT_DEFAULTS = { style: "border", linger: 1.0 };
+
+// Merge highlight settings: built-in -> global defaults -> page defaults -> highlight
+export function resolveHighlight(highlight, pageDefaults = {}, globalDefaults = {}) {
+  const resolved = { ...BUILTIN_HIGHLIGHT_DEFAULTS, ...globalDefaults, ...pageDefaults, ...highlight };
+
+  // A highlight with coordinates but no selector can only be drawn as a shape
+  if (!resolved.selector && !COORDINATE_HIGHLIGHT_STYLES.includes(resolved.style)) {
+    resolved.style = resolved.radius !== undefined ? "circle" : "rectangle";
+  }
+
+  return resolved;
+}
+
+// Calculate segment start times based on character positions in the full
+// text. Positions count code points, like the alignment's characters.
+export function calculateSegmentTimings(segments, charStartTimes, characters) {
+  const segmentTimings = [];
+  let charOffset = 0;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const segmentText = segment.text;
+
+    // Find the start time for this segment
+    const startTime = charOffset < charStartTimes.length ? charStartTimes[charOffset] : 0;
+
+    // Calculate end position (add segment length + 1 for space)
+    const endCharOffset = charOffset + [...segmentText].length;
+    const endTime = endCharOffset < charStartTimes.length ? charStartTimes[endCharOffset] : charStartTimes[charStartTimes.length - 1];
+
+    segmentTimings.push({
+      text: segmentText,
+      scrollTo: segment.scrollTo,
+      startTimeSec: startTime,
+      endTimeSec: endTime,
+      startTimeMs: Math.round(startTime * 1000),
+      endTimeMs: Math.round(endTime * 1000),
+    });
+
+    // Move offset past this segment + space
+    charOffset = endCharOffset + 1;
+  }
+
+  return segmentTimings;
+}
+
+// Find when a phrase is spoken using the character alignment from the TTS clip
+export function findPhraseTiming(phrase, clip) {
+  const { characters, charStartTimes, charEndTimes } = clip;
+  if (!phrase?.trim() || charStartTimes.length === 0) return null;
+
+  // Search the text as spoken, case-insensitively, then map the match's
+  // UTF-16 offsets back to entries in the alignment
+  const units = characters.length > 0 ? characters : [...clip.segments.map(s => s.text).join(" ")];
+  const spoken = units.join("");
+  const pattern = phrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+");
+  const match = new RegExp(pattern, "iu").exec(spoken);
+  if (!match) return null;
+
+  const entryAt = (offset) => {
+    let end = 0;
+    const index = units.findIndex(unit => (end += unit.length) > offset);
+    return index === -1 ? units.length : index;
+  };
+  const start = entryAt(match.index);
+  if (start >= charStartTimes.length) return null;
+
+  const end = Math.min(entryAt(match.index + match[0].length - 1), charEndTimes.length - 1);
+  return { startSec: charStartTimes[start], endSec: charEndTimes[end] };
+}
+
+// Build the ordered list of scroll, highlight and action events for one page.
+// scrollTargets replaces scroll targets, e.g. refs the pre-flight resolved.
+export function buildPageTimeline(clip, page, globalDefaults, logDebug, scrollTargets = {}) {
+  const { highlights = [], highlightDefaults: pageDefaults, actions = [] } = page;
+  const events = [];
+
+  for (const segment of clip.segmentTimings || []) {
+    events.push({ atMs: segment.startTimeMs, type: "scroll", scrollTo: scrollTargets[segment.scrollTo] || segment.scrollTo });
+  }
+
+  highlights.forEach((highlight, index) => {
+    const resolved = resolveHighlight(highlight, pageDefaults, globalDefaults);
+    const timing = findPhraseTiming(resolved.onText, clip);
+    if (!timing) {
+      logDebug(`Highlight skipped: phrase "${resolved.onText}" not found in narration`);
+      return;
+    }
+    if (!resolved.selector && (resolved.x === undefined || resolved.y === undefined)) {
+      logDebug(`Highlight skipped: "${resolved.onText}" needs a selector or x/y coordinates`);
+      return;
+    }
+
+    const id = `narrator-hl-${clip.clipNum}-${index}`;
+    const showMs = Math.round(timing.startSec * 1000);
+    const hideMs = Math.min(Math.round((timing.endSec + resolved.linger) * 1000), clip.durationMs);
+    events.push({ atMs: showMs, type: "highlight", id, highlight: resolved });
+    events.push({ atMs: hideMs, type: "unhighlight", id });
+  });
+
+  // Actions run in the order given: one without a phrase (or whose phrase
+  // comes earlier) fires as soon as the previous action has
+  let lastActionMs = 0;
+  for (const action of actions) {
+    let atMs = lastActionMs;
+    if (action.onText) {
+      const timing = findPhraseTiming(action.onText, clip);
+      if (timing) {
+        atMs = Math.max(lastActionMs, Math.round(timing.startSec * 1000));
+      } else {
+        logDebug(`Action ${action.action}: phrase "${action.onText}" not found, running after previous action`);
+      }
+    }
+    events.push({ atMs, type: "action", action });
+    lastActionMs = atMs;
+  }
+
+  // Stable sort keeps scrolls ahead of highlights and actions that fire at the same moment
+  return events.sort((a, b) => a.atMs - b.atMs);
+}
@@ -0,0 +1,240 @@
+// Text-to-speech providers.
+//
+// Every provider writes an MP3 to the requested path and returns per-character
+// timings ({ characters, charStartTimes, charEndTimes, durationSec }), so
+// segment timing and highlights work the same whichever engine spoke.
+
+import { execFile } from "child_process";
+import { writeFileSync, unlinkSync } from "fs";
+
+export const DEFAULT_TTS_PROVIDER = "elevenlabs";
+
+const DEFAULT_OPENAI_TTS_BASE_URL = "https://api.openai.com/v1";
+
+const DEFAULT_VOICES = {
+  elevenlabs: { voiceId: "JBFqnCBsd6RMkjVDRZzb", modelId: "eleven_multilingual_v2" },
+  openai: { voiceId: "alloy", modelId: "gpt-4o-mini-tts" },
+  local: { voiceId: "en-us", modelId: "espeak-ng" },
+};
+
+// Run a command without a shell and fail loudly. input is written to its
+// stdin; aborting signal stops it.
+function run(bin, args, { input, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(bin, args, { encoding: "utf-8", timeout: 120000, signal }, (error, stdout, stderr) => {
+      if (signal?.aborted) {
+        reject(new Error("Recording cancelled"));
+      } else if (error) {
+        const status = typeof error.code === "number" ? `exited with ${error.code}` : "failed";
+        reject(new Error(`${bin} ${status}: ${(stderr || "").trim() || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+    // An engine that exits early closes stdin; the exit is what gets reported
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Duration of a media file in seconds
+async function probeDuration(path, signal) {
+  const output = await run("ffprobe", ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", path], { signal });
+  return parseFloat(output.trim()) || 0;
+}
+
+// Spread a clip's duration over its characters when the engine gives no
+// timings. Punctuation gets extra weight because speech pauses there.
+export function estimateAlignment(text, durationSec) {
+  const characters = [...text];
+  const weights = characters.map(c => (/[.!?…]/.test(c) ? 6 : /[,;:—–]/.test(c) ? 3 : 1));
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+  const charStartTimes = [];
+  const charEndTimes = [];
+  let t = 0;
+  for (const w of weights) {
+    charStartTimes.push(t);
+    t += (w / total) * durationSec;
+    charEndTimes.push(t);
+  }
+
+  return { characters, charStartTimes, charEndTimes };
+}
+
+// ElevenLabs with-timestamps: real per-character alignment
+async function elevenLabsSynthesize(text, outputPath, voice, signal) {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+
+  if (!apiKey) {
+    throw new Error("ELEVENLABS_API_KEY not set");
+  }
+
+  const response = await fetch(
+    `https://api.elevenlabs.io/v1/text-to-speech/${voice.voiceId}/with-timestamps?output_format=mp3_44100_128`,
+    {
+      method: "POST",
+      headers: {
+        "xi-api-key": apiKey,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        text: text,
+        model_id: voice.modelId,
+      }),
+      signal,
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`ElevenLabs API error: ${error}`);
+  }
+
+  const data = await response.json();
+
+  // Decode and save audio
+  writeFileSync(outputPath, Buffer.from(data.audio_base64, "base64"));
+
+  const alignment = data.alignment || {};
+  const charStartTimes = alignment.character_start_times_seconds || [];
+  const charEndTimes = alignment.character_end_times_seconds || [];
+  const characters = alignment.characters || [];
+  const durationSec = charEndTimes.length > 0 ? charEndTimes[charEndTimes.length - 1] : 3;
+
+  return { characters, charStartTimes, charEndTimes, durationSec };
+}
+
+function openAiBaseUrl() {
+  return (process.env.OPENAI_TTS_BASE_URL || DEFAULT_OPENAI_TTS_BASE_URL).replace(/\/$/, "");
+}
+
+// OpenAI-compatible /audio/speech endpoint (OpenAI or a local server).
+// These return audio only, so timings are estimated from the clip length.
+async function openAiSynthesize(text, outputPath, voice, signal) {
+  const baseUrl = openAiBaseUrl();
+  const apiKey = process.env.OPENAI_TTS_API_KEY || process.env.OPENAI_API_KEY;
+
+  if (!apiKey && baseUrl.includes("api.openai.com")) {
+    throw new Error("OPENAI_API_KEY not set");
+  }
+
+  const response = await fetch(`${baseUrl}/audio/speech`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model: voice.modelId,
+      voice: voice.voiceId,
+      input: text,
+      response_format: "mp3",
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`OpenAI speech API error: ${error}`);
+  }
+
+  writeFileSync(outputPath, Buffer.from(await response.arrayBuffer()));
+
+  const durationSec = await probeDuration(outputPath, signal);
+  return { ...estimateAlignment(text, durationSec), durationSec };
+}
+
+// Offline engines: piper (voiceId is the .onnx voice model) or espeak-ng
+// (voiceId is an espeak voice like "en-us"). Output is converted to MP3.
+async function localSynthesize(text, outputPath, voice, signal) {
+  const wavPath = outputPath.replace(/\.mp3$/, "") + ".wav";
+
+  try {
+    if (voice.modelId === "piper") {
+      if (!voice.voiceId.endsWith(".onnx")) {
+        throw new Error("piper needs a .onnx voice model as voiceId (or PIPER_MODEL)");
+      }
+      await run(process.env.PIPER_BIN || "piper", ["--model", voice.voiceId, "--output_file", wavPath], { input: text, signal });
+    } else {
+      await run(process.env.ESPEAK_BIN || "espeak-ng", ["-v", voice.voiceId, "-w", wavPath, "--stdin"], { input: text, signal });
+    }
+
+    await run("ffmpeg", ["-y", "-i", wavPath, "-codec:a", "libmp3lame", "-b:a", "128k", outputPath], { signal });
+  } finally {
+    try {
+      unlinkSync(wavPath);
+    } catch (e) {}
+  }
+
+  const durationSec = await probeDuration(outputPath, signal);
+  return { ...estimateAlignment(text, durationSec), durationSec };
+}
+
+const PROVIDERS = {
+  elevenlabs: elevenLabsSynthesize,
+  openai: openAiSynthesize,
+  local: localSynthesize,
+};
+
+export const TTS_PROVIDERS = Object.keys(PROVIDERS);
+
+// What besides the text and resolved voice decides the audio, for the cache
+// key: which OpenAI-compatible server spoke it. Nothing for OpenAI itself, so
+// earlier cache entries still match.
+export function speechCacheFields(voice) {
+  if (voice.provider !== "openai") return undefined;
+  const baseUrl = openAiBaseUrl();
+  return baseUrl === DEFAULT_OPENAI_TTS_BASE_URL ? undefined : { baseUrl };
+}
+
+// Fill in provider, voice and model from the request, then env, then defaults
+export function resolveVoice(voice = {}) {
+  const provider = voice.provider || process.env.TTS_PROVIDER || DEFAULT_TTS_PROVIDER;
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown TTS provider "${provider}" (expected one of: ${TTS_PROVIDERS.join(", ")})`);
+  }
+
+  const envModel = {
+    elevenlabs: process.env.ELEVENLABS_MODEL_ID,
+    openai: process.env.OPENAI_TTS_MODEL,
+    local: process.env.LOCAL_TTS_ENGINE || (process.env.PIPER_MODEL ? "piper" : undefined),
+  }[provider];
+  const modelId = voice.modelId || envModel || DEFAULT_VOICES[provider].modelId;
+
+  // piper's voice is a model file, so its default comes from PIPER_MODEL
+  const envVoice = {
+    elevenlabs: process.env.ELEVENLABS_VOICE_ID,
+    openai: process.env.OPENAI_TTS_VOICE,
+    local: process.env.LOCAL_TTS_VOICE || (modelId === "piper" ? process.env.PIPER_MODEL : undefined),
+  }[provider];
+  const defaultVoiceId = modelId === "piper" ? "" : DEFAULT_VOICES[provider].voiceId;
+
+  return {
+    provider,
+    voiceId: voice.voiceId || envVoice || defaultVoiceId,
+    modelId,
+  };
+}
+
+// A voice with an override (a page's, a speaker's, a language's) applied. An
+// override naming another provider replaces the voice, since voice IDs don't
+// carry over.
+export function overrideVoice(voice = {}, override) {
+  if (!override) return voice;
+  if (override.provider && override.provider !== resolveVoice(voice).provider) return override;
+  return { ...voice, ...override };
+}
+
+// Speak text into an MP3 at outputPath and return its character timings.
+// Aborting signal cancels the request or the engine.
+export async function synthesizeSpeech(text, outputPath, voice = {}, { signal } = {}) {
+  const resolved = resolveVoice(voice);
+  console.error(`[narrator] TTS: ${resolved.provider} voice ${resolved.voiceId} (${resolved.modelId})`);
+  try {
+    return await PROVIDERS[resolved.provider](text, outputPath, resolved, signal);
+  } catch (error) {
+    if (signal?.aborted) throw new Error("Recording cancelled");
+    throw error;
+  }
+}
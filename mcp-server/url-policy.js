@@ -0,0 +1,236 @@
+// URL policy for every page the browser opens.
+//
+// Agents pass URLs they found in untrusted content, so before any `open` the
+// URL's scheme and host are checked against the policy and its host is
+// resolved to make sure it doesn't point into a private network. The browser
+// itself goes through startPolicyProxy, which checks every request it makes
+// (redirects, subresources, websockets) before connecting, and connects to
+// the address it checked so a second DNS answer can't point elsewhere. The
+// policy comes from the environment only, so a tool call can't loosen it:
+//
+//   URL_ALLOWED_SCHEMES  comma-separated (default: http,https)
+//   URL_ALLOW_HOSTS      if set, only these hosts ("example.com", "*.example.com")
+//   URL_DENY_HOSTS       never these hosts (same patterns)
+//   URL_ALLOW_PRIVATE    "true" to allow loopback, private and link-local addresses
+
+import { lookup } from "dns/promises";
+import { isIP, connect } from "net";
+import { createServer, request as httpRequest } from "http";
+
+function listFromEnv(name, fallback = []) {
+  const value = process.env[name];
+  if (!value) return fallback;
+  return value.split(",").map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Read lazily: .env is loaded after imports are evaluated
+export function urlPolicy() {
+  return {
+    schemes: listFromEnv("URL_ALLOWED_SCHEMES", ["http", "https"]).map(s => s.replace(/:$/, "")),
+    allowHosts: listFromEnv("URL_ALLOW_HOSTS"),
+    denyHosts: listFromEnv("URL_DENY_HOSTS"),
+    allowPrivate: /^(1|true|yes)$/i.test(process.env.URL_ALLOW_PRIVATE || ""),
+  };
+}
+
+// "example.com" matches itself; "*.example.com" matches its subdomains and itself
+function hostMatches(host, pattern) {
+  if (pattern.startsWith("*.")) {
+    const base = pattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === pattern;
+}
+
+function ipv4Parts(address) {
+  return address.split(".").map(Number);
+}
+
+// Loopback, private, link-local, CGNAT, unspecified and similar non-public ranges
+export function isPrivateAddress(address) {
+  if (isIP(address) === 4) {
+    const [a, b] = ipv4Parts(address);
+    return a === 0
+      || a === 10
+      || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 198 && (b === 18 || b === 19))
+      || a >= 224;
+  }
+
+  const lower = address.toLowerCase();
+  // IPv4-mapped, either dotted (::ffff:10.0.0.1) or as URL parsing writes it (::ffff:a00:1)
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return lower === "::"
+    || lower === "::1"
+    || /^f[cd][0-9a-f]{2}:/.test(lower)
+    || /^fe[89ab][0-9a-f]:/.test(lower);
+}
+
+// Throw unless the policy allows opening url. Returns the address the host
+// was checked at, or null when nothing was resolved (no host, or private
+// addresses allowed).
+export async function checkUrl(url, policy = urlPolicy()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, "");
+  if (!policy.schemes.includes(scheme)) {
+    throw new Error(`URL not allowed: ${scheme}: URLs are blocked (allowed: ${policy.schemes.join(", ")})`);
+  }
+
+  // Schemes without a host (e.g. about:) have nothing more to check
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!host) return null;
+
+  if (policy.denyHosts.some(pattern => hostMatches(host, pattern))) {
+    throw new Error(`URL not allowed: ${host} is on the deny list`);
+  }
+  if (policy.allowHosts.length > 0 && !policy.allowHosts.some(pattern => hostMatches(host, pattern))) {
+    throw new Error(`URL not allowed: ${host} is not on the allow list`);
+  }
+
+  if (policy.allowPrivate) return null;
+
+  let addresses;
+  if (isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (e) {
+      throw new Error(`Could not resolve ${host}: ${e.code || e.message}`);
+    }
+  }
+  const privateAddress = addresses.find(isPrivateAddress);
+  if (privateAddress) {
+    const where = privateAddress === host ? `${host} is a private address` : `${host} resolves to private address ${privateAddress}`;
+    throw new Error(`URL not allowed: ${where} (set URL_ALLOW_PRIVATE=true to allow)`);
+  }
+  return addresses[0];
+}
+
+// "host:port" from a CONNECT request, IPv6 hosts in brackets
+function splitHostPort(value, defaultPort) {
+  const match = String(value).match(/^\[?([^\]]*?)\]?(?::(\d+))?$/);
+  return { host: match?.[1] || "", port: Number(match?.[2]) || defaultPort };
+}
+
+// A local forward proxy that enforces the policy on everything the browser
+// requests: plain HTTP requests, CONNECT tunnels (HTTPS and secure websockets)
+// and websocket upgrades. Blocked requests get a 403 and are reported to
+// onBlocked(url, message). Resolves to { url, close() }.
+export async function startPolicyProxy({ policy = urlPolicy(), onBlocked = () => {} } = {}) {
+  // The address to connect to: the one checked, so DNS can't be rebound
+  // between the check and the connection
+  const allow = async (url, host) => {
+    try {
+      return (await checkUrl(url, policy)) || host;
+    } catch (e) {
+      onBlocked(url, e.message);
+      return null;
+    }
+  };
+  const refuse = (socket) => {
+    socket.end("HTTP/1.1 403 Forbidden\r\ncontent-type: text/plain\r\nconnection: close\r\n\r\nBlocked by the URL policy\n");
+  };
+
+  const server = createServer(async (req, res) => {
+    req.on("error", () => {});
+    res.on("error", () => {});
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (e) {
+      res.writeHead(400).end();
+      return;
+    }
+    const address = await allow(target.href, target.hostname.replace(/^\[|\]$/g, ""));
+    if (!address) {
+      res.writeHead(403, { "content-type": "text/plain" }).end("Blocked by the URL policy\n");
+      return;
+    }
+    const headers = Object.fromEntries(Object.entries(req.headers).filter(([name]) => !name.startsWith("proxy-")));
+    const upstream = httpRequest({
+      host: address,
+      port: Number(target.port) || 80,
+      method: req.method,
+      path: `${target.pathname}${target.search}`,
+      headers,
+    }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    upstream.on("error", () => res.headersSent ? res.destroy() : res.writeHead(502).end());
+    req.pipe(upstream);
+  });
+
+  // HTTPS and wss: only the host and port are visible, checked as https
+  server.on("connect", async (req, socket, head) => {
+    socket.on("error", () => {});
+    const { host, port } = splitHostPort(req.url, 443);
+    const address = await allow(`https://${host.includes(":") ? `[${host}]` : host}:${port}/`, host);
+    if (!address) return refuse(socket);
+    const upstream = connect(port, address, () => {
+      socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      if (head.length) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on("error", () => socket.destroy());
+    socket.on("close", () => upstream.destroy());
+  });
+
+  // Plain websockets: pass the upgrade request through as it came
+  server.on("upgrade", async (req, socket, head) => {
+    socket.on("error", () => {});
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (e) {
+      return refuse(socket);
+    }
+    const address = await allow(target.href, target.hostname.replace(/^\[|\]$/g, ""));
+    if (!address) return refuse(socket);
+    const upstream = connect(Number(target.port) || 80, address, () => {
+      const headers = Object.entries(req.headers).filter(([name]) => !name.startsWith("proxy-"));
+      upstream.write([`${req.method} ${target.pathname}${target.search} HTTP/1.1`, ...headers.map(([name, value]) => `${name}: ${value}`), "", ""].join("\r\n"));
+      if (head.length) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on("error", () => socket.destroy());
+    socket.on("close", () => upstream.destroy());
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  const sockets = new Set();
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      for (const socket of sockets) socket.destroy();
+      server.close(() => resolve());
+    }),
+  };
+}
@@ -0,0 +1,72 @@
+// Screenshot-grounded narration. The research pass photographs each page (a
+// scaled-down view of the whole page, then sections of it a viewport tall)
+// and sends the images to Claude with the accessibility snapshot, so the
+// narration can talk about layout, imagery, colors and charts, and stick to
+// what's actually on screen. Each image is captioned with where it sits on
+// the page, so the narration can scroll to a visual region by its y
+// coordinate ("1450px") when it has no ref.
+
+import { readFileSync } from "fs";
+
+const DEFAULT_MAX_IMAGES = 4;
+const MAX_IMAGES = 10;
+
+// Claude downsizes anything larger, so don't send more pixels than it uses
+const MAX_IMAGE_EDGE = 1568;
+
+// ffmpeg filter fitting a screenshot within MAX_IMAGE_EDGE, never enlarging it
+export const SCREENSHOT_SCALE = `scale=min(iw\\,${MAX_IMAGE_EDGE}):min(ih\\,${MAX_IMAGE_EDGE}):force_original_aspect_ratio=decrease`;
+
+// A whole-page overview only helps when the page is taller than this many views
+const OVERVIEW_MIN_VIEWS = 1.5;
+
+// Check the vision option before anything runs
+export function validateVision(vision) {
+  if (vision === undefined || vision === null || typeof vision === "boolean") return;
+  if (typeof vision !== "object") {
+    throw new Error("vision must be true, false or an object");
+  }
+  if (vision.maxImages !== undefined && !(Number.isInteger(vision.maxImages) && vision.maxImages >= 1 && vision.maxImages <= MAX_IMAGES)) {
+    throw new Error(`vision.maxImages must be a whole number from 1 to ${MAX_IMAGES}`);
+  }
+}
+
+// { maxImages, fullPage } when screenshots are on, else null
+export function visionSettings(vision) {
+  if (!vision || vision.enabled === false) return null;
+  const settings = typeof vision === "object" ? vision : {};
+  return {
+    maxImages: settings.maxImages || DEFAULT_MAX_IMAGES,
+    fullPage: settings.fullPage !== false,
+  };
+}
+
+// What to photograph on a page pageHeight tall, seen through a view
+// viewHeight tall: { fullPage, offsets } where offsets are the sections' top
+// y coordinates. Sections run down from the top; when there are more than
+// the images allow, they are spread evenly from the top to the bottom.
+export function screenshotPlan(pageHeight, viewHeight, { maxImages, fullPage }) {
+  const overview = fullPage && maxImages > 1 && pageHeight > viewHeight * OVERVIEW_MIN_VIEWS;
+  const count = maxImages - (overview ? 1 : 0);
+  const lastTop = Math.max(0, pageHeight - viewHeight);
+  const sections = Math.max(1, Math.ceil(pageHeight / viewHeight));
+
+  const offsets = [];
+  if (sections <= count) {
+    for (let i = 0; i < sections; i++) offsets.push(Math.min(i * viewHeight, lastTop));
+  } else {
+    for (let i = 0; i < count; i++) offsets.push(count === 1 ? 0 : Math.round((i * lastTop) / (count - 1)));
+  }
+  return { fullPage: overview, offsets: [...new Set(offsets)] };
+}
+
+// Claude message content for the screenshots: each image followed by its caption
+export function imageContent(screenshots) {
+  return screenshots.flatMap(({ path, caption }) => [
+    {
+      type: "image",
+      source: { type: "base64", media_type: "image/jpeg", data: readFileSync(path).toString("base64") },
+    },
+    { type: "text", text: caption },
+  ]);
+}